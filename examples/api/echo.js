@@ -19,10 +19,13 @@ const express = require('express');
 const multer = require('multer');
 const upload = multer();
 const {setImmutable, setNoCache} = require('@lib/utils/cacheHelpers');
+const {rateLimit} = require('@lib/middleware/rateLimiter');
 
 // eslint-disable-next-line new-cap
 const examples = express.Router();
 
+examples.use('/echo', rateLimit('exampleEcho'));
+
 examples.get('/echo', (request, response) => {
   setImmutable(response);
   response.json(request.query);
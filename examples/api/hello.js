@@ -19,10 +19,13 @@ const express = require('express');
 const multer = require('multer');
 const upload = multer();
 const {setNoCache, setImmutable} = require('@lib/utils/cacheHelpers');
+const {rateLimit} = require('@lib/middleware/rateLimiter');
 
 // eslint-disable-next-line new-cap
 const examples = express.Router();
 
+examples.use('/hello', rateLimit('exampleHello'));
+
 examples.get('/hello', (request, response) => {
   setImmutable(response);
   const name = request.query.name;
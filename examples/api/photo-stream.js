@@ -17,12 +17,13 @@
 
 const express = require('express');
 const {setMaxAge} = require('@lib/utils/cacheHelpers');
+const {rateLimit} = require('@lib/middleware/rateLimiter');
 const casual = require('casual');
 
 // eslint-disable-next-line new-cap
 const examples = express.Router();
 
-examples.get('/photo-stream', (req, res) => {
+examples.get('/photo-stream', rateLimit('examplePhotoStream'), (req, res) => {
   setMaxAge(res, 60 * 60); // 1h
   const {query} = req;
   const items = [];
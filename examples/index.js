@@ -23,6 +23,10 @@ const {join, dirname, resolve} = require('path');
 const examples = express.Router();
 
 const {listFiles} = require('@boilerplate/lib/io.js');
+const {contentSecurityPolicy} = require('@lib/middleware/csp.js');
+
+/* APIs only return data, other routes render sample documents */
+examples.use('/documentation/examples/api', contentSecurityPolicy('api'));
 
 /* auto import all sample specific routers */
 loadRouters('api', '/api');
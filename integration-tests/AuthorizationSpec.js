@@ -0,0 +1,50 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const config = require('@lib/config.js');
+const {isAuthorized} = require('@lib/utils/authorization.js');
+
+describe('isAuthorized', () => {
+  const request = (authorization) => {
+    return {'get': (header) => header === 'authorization' ? authorization : undefined};
+  };
+
+  beforeEach(() => {
+    spyOn(config, 'isDevMode').and.returnValue(false);
+  });
+
+  it('authorizes requests with the token', () => {
+    expect(isAuthorized(request('Bearer secret'), 'secret')).toBe(true);
+  });
+
+  it('denies requests with another or without token', () => {
+    expect(isAuthorized(request('Bearer guess'), 'secret')).toBe(false);
+    expect(isAuthorized(request('Bearer secrets'), 'secret')).toBe(false);
+    expect(isAuthorized(request(), 'secret')).toBe(false);
+  });
+
+  it('denies all requests if no token is configured', () => {
+    expect(isAuthorized(request('Bearer '), undefined)).toBe(false);
+    expect(isAuthorized(request('Bearer undefined'), undefined)).toBe(false);
+  });
+
+  it('authorizes all requests during development', () => {
+    config.isDevMode.and.returnValue(true);
+    expect(isAuthorized(request(), undefined)).toBe(true);
+  });
+});
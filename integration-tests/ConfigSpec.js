@@ -0,0 +1,88 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const config = require('@lib/config.js');
+
+// The config module exports the instance for the current environment
+const Config = config.constructor;
+
+describe('Config', () => {
+  describe('feature flags', () => {
+    const argv = process.argv;
+    let environmentFlags;
+
+    beforeEach(() => {
+      environmentFlags = {};
+      const loadEnvironment = Config.prototype._loadEnvironment;
+      spyOn(Config.prototype, '_loadEnvironment').and.callFake(function(name) {
+        // eslint-disable-next-line no-invalid-this
+        const env = loadEnvironment.call(this, name);
+        env.flags = environmentFlags;
+        return env;
+      });
+      // Leave the podspec of the running config alone
+      spyOn(Config.prototype, '_configureGrow');
+      delete process.env.AMP_DEV_FLAG_MAINTENANCE;
+    });
+    afterEach(() => {
+      process.argv = argv;
+      delete process.env.AMP_DEV_FLAG_MAINTENANCE;
+    });
+
+    function loadFlags({environment, variable, option} = {}) {
+      if (environment !== undefined) {
+        environmentFlags = {'maintenance': environment};
+      }
+      if (variable !== undefined) {
+        process.env.AMP_DEV_FLAG_MAINTENANCE = variable;
+      }
+      process.argv = argv.slice(0, 2).concat(option ? [option] : []);
+      return new Config('development');
+    }
+
+    it('defaults to shared.json', () => {
+      expect(config.shared.flags.maintenance).toBe(false);
+      expect(loadFlags().isFlagEnabled('maintenance')).toBe(false);
+    });
+
+    it('is overridden by the environment', () => {
+      expect(loadFlags({'environment': true}).isFlagEnabled('maintenance')).toBe(true);
+    });
+
+    it('is overridden by environment variables over the environment', () => {
+      expect(loadFlags({'environment': true, 'variable': 'false'})
+          .isFlagEnabled('maintenance')).toBe(false);
+      expect(loadFlags({'variable': 'on'}).isFlagEnabled('maintenance')).toBe(true);
+    });
+
+    it('is overridden by command line options over everything else', () => {
+      expect(loadFlags({'environment': false, 'variable': 'false', 'option': '--flag-maintenance'})
+          .isFlagEnabled('maintenance')).toBe(true);
+      expect(loadFlags({'environment': true, 'variable': 'true', 'option': '--no-flag-maintenance'})
+          .isFlagEnabled('maintenance')).toBe(false);
+    });
+
+    it('ignores unknown flags set by the environment', () => {
+      environmentFlags = {'unknown': true};
+      const flags = loadFlags().flags;
+      expect(flags).toEqual({'maintenance': false});
+    });
+
+    it('throws for unknown flags', () => {
+      expect(() => config.isFlagEnabled('unknown')).toThrowError('Unknown feature flag unknown');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const nodeFetch = require('node-fetch');
+const config = require('@lib/config.js');
+const {contentSecurityPolicy, CSP_REPORT_PATH} = require('@lib/middleware/csp.js');
+const cspReport = require('@lib/routers/cspReport.js');
+
+const SURFACES = ['pages', 'boilerplate', 'preview', 'playground', 'api'];
+
+describe('Content-Security-Policy', () => {
+  let server;
+  let reportOnly;
+
+  beforeAll(() => {
+    reportOnly = config.csp.reportOnly;
+  });
+  afterAll(() => {
+    config.csp.reportOnly = reportOnly;
+  });
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  /**
+   * Serves the policies of the surfaces the same way the platform mounts
+   * them, one after another for all requests
+   * @param  {Array} surfaces
+   * @return {Promise<Headers>} The headers of a response
+   */
+  async function fetchHeaders(...surfaces) {
+    const app = express();
+    surfaces.forEach((surface) => app.use(contentSecurityPolicy(surface)));
+    app.use((request, response) => response.send('OK'));
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    const response = await nodeFetch(`http://localhost:${server.address().port}/`);
+    return response.headers;
+  }
+
+  SURFACES.forEach((surface) => {
+    it(`enforces the ${surface} policy if configured`, async () => {
+      config.csp.reportOnly = {[surface]: false};
+      const headers = await fetchHeaders(surface);
+      expect(headers.get('content-security-policy'))
+          .toContain(`report-uri ${config.hosts.platform.base}${CSP_REPORT_PATH}`);
+      expect(headers.get('content-security-policy-report-only')).toBeNull();
+    });
+
+    it(`only reports the ${surface} policy if configured`, async () => {
+      config.csp.reportOnly = true;
+      const headers = await fetchHeaders(surface);
+      expect(headers.get('content-security-policy-report-only')).toContain('default-src');
+      expect(headers.get('content-security-policy')).toBeNull();
+    });
+  });
+
+  it('only reports surfaces not configured', async () => {
+    config.csp.reportOnly = {'pages': false};
+    const headers = await fetchHeaders('api');
+    expect(headers.get('content-security-policy')).toBeNull();
+  });
+
+  it('replaces an enforced policy with a later reported one', async () => {
+    config.csp.reportOnly = {'api': false, 'preview': true};
+    const headers = await fetchHeaders('api', 'preview');
+    expect(headers.get('content-security-policy')).toBeNull();
+    expect(headers.get('content-security-policy-report-only')).toContain('https://vjs.zencdn.net');
+  });
+
+  it('replaces a reported policy with a later enforced one', async () => {
+    config.csp.reportOnly = {'api': true, 'pages': false};
+    const headers = await fetchHeaders('api', 'pages');
+    expect(headers.get('content-security-policy-report-only')).toBeNull();
+    expect(headers.get('content-security-policy')).toContain('script-src \'self\'');
+  });
+
+  it('limits the logged new violations', async () => {
+    server = express().use(cspReport).listen(0);
+    const logged = [];
+    const write = process.stdout.write;
+    spyOn(process.stdout, 'write').and.callFake((chunk, ...args) => {
+      if (String(chunk).includes('New violation')) {
+        logged.push(chunk);
+        return true;
+      }
+      return write.call(process.stdout, chunk, ...args);
+    });
+
+    for (let i = 0; i < 20; i++) {
+      const response = await nodeFetch(
+          `http://localhost:${server.address().port}${CSP_REPORT_PATH}`, {
+            'method': 'POST',
+            'headers': {'content-type': 'application/csp-report'},
+            'body': JSON.stringify({'csp-report': {
+              'effective-directive': 'script-src',
+              'blocked-uri': `https://${i}.example.com/script.js`,
+            }}),
+          });
+      expect(response.status).toBe(204);
+    }
+    expect(logged.length).toBe(10);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('@lib/config.js');
+const {project} = require('@lib/utils');
+const {validateEnvironment, HOST_NAMES} = require('@lib/utils/environmentSchema.js');
+
+const ENVIRONMENTS_DIR = project.absolute('platform/config/environments');
+
+/**
+ * Builds a valid environment config
+ * @return {Object}
+ */
+function environment() {
+  const hosts = {};
+  for (const name of HOST_NAMES) {
+    hosts[name] = {'scheme': 'https', 'host': 'amp.dev', 'port': '', 'subdomain': name};
+  }
+  return {'name': 'test', hosts};
+}
+
+describe('Environment schema', () => {
+  it('accepts the configured environments', () => {
+    for (const file of fs.readdirSync(ENVIRONMENTS_DIR)) {
+      const env = JSON.parse(fs.readFileSync(path.join(ENVIRONMENTS_DIR, file), 'utf-8'));
+      expect(validateEnvironment(env)).toEqual([], file);
+    }
+  });
+
+  it('reports fields of the wrong type', () => {
+    const env = environment();
+    env.hosts.pages.port = true;
+    env.csp = {'reportOnly': 'yes'};
+    env.logging = {'slowRequestThreshold': '1000'};
+    expect(validateEnvironment(env)).toEqual([
+      'environment.hosts.pages.port must be of type string or number but is boolean',
+      'environment.csp.reportOnly must be of type boolean or object but is string',
+      'environment.logging.slowRequestThreshold must be of type number but is string',
+    ]);
+  });
+
+  it('reports values not matching enums or patterns', () => {
+    const env = environment();
+    env.hosts.api.scheme = 'ftp';
+    env.hosts.go.host = 'https://amp.dev';
+    env.hosts.platform.port = '80a';
+    expect(validateEnvironment(env)).toEqual([
+      'environment.hosts.api.scheme must be one of http, https but is "ftp"',
+      'environment.hosts.platform.port must be a port number or "" but is "80a"',
+      'environment.hosts.go.host must be a hostname without scheme, port or path ' +
+        'but is "https://amp.dev"',
+    ]);
+  });
+
+  it('reports unknown and missing fields', () => {
+    const env = environment();
+    env.hostname = 'amp.dev';
+    env.hosts.pages.path = '/';
+    delete env.hosts.preview;
+    delete env.hosts.api.host;
+    expect(validateEnvironment(env)).toEqual([
+      'environment.hosts.preview is missing',
+      'environment.hosts.pages.path is not a known property, ' +
+        'expected one of scheme, host, port, subdomain',
+      'environment.hosts.api.host is missing',
+      'environment.hostname is not a known property, ' +
+        'expected one of name, hosts, csp, logging, flags',
+    ]);
+  });
+
+  describe('host overrides', () => {
+    // The config module exports the instance for the current environment
+    const Config = config.constructor;
+    const variables = ['AMP_DEV_HOST_PAGES_PORT', 'AMP_DEV_HOST_GO_SUBDOMAIN',
+      'AMP_DEV_HOST_API_SCHEME'];
+
+    beforeEach(() => {
+      // Leave the podspec of the running config alone
+      spyOn(Config.prototype, '_configureGrow');
+    });
+    afterEach(() => {
+      for (const variable of variables) {
+        delete process.env[variable];
+      }
+    });
+
+    it('override single host fields by AMP_DEV_HOST_<NAME>_<FIELD>', () => {
+      process.env.AMP_DEV_HOST_PAGES_PORT = '9000';
+      process.env.AMP_DEV_HOST_GO_SUBDOMAIN = 'links';
+      const overridden = new Config('development');
+      expect(overridden.hosts.pages.port).toBe('9000');
+      expect(overridden.hosts.pages.base).toBe('http://localhost:9000');
+      expect(overridden.hosts.go.subdomain).toBe('links');
+      expect(overridden.hosts.platform).toEqual(config.hosts.platform);
+    });
+
+    it('get validated', () => {
+      process.env.AMP_DEV_HOST_API_SCHEME = 'ftp';
+      expect(() => new Config('development')).toThrowError(new RegExp(
+          'Invalid environment config .*\n.*' +
+          'environment\\.hosts\\.api\\.scheme must be one of http, https but is "ftp"'));
+    });
+
+    it('fail for unknown environments', () => {
+      expect(() => new Config('unknown')).toThrowError(/Unknown environment unknown/);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const nodeFetch = require('node-fetch');
+const config = require('@lib/config.js');
+const errorHandler = require('@lib/middleware/errorHandler.js');
+
+describe('Error handler', () => {
+  let server;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use('/fail/:status', (request, response, next) => {
+      const error = new Error('Failed <badly>');
+      error.status = Number(request.params.status);
+      next(error);
+    });
+    app.use(errorHandler);
+    server = app.listen(0, done);
+  });
+  afterAll((done) => {
+    server.close(done);
+  });
+  beforeEach(() => {
+    spyOn(console, 'error');
+    spyOn(config, 'isDevMode').and.returnValue(false);
+    // Tells which of the built error pages would have been sent
+    spyOn(express.response, 'sendFile').and.callFake(function(file) {
+      this.send(file); // eslint-disable-line no-invalid-this
+    });
+  });
+
+  function fetch(path, headers = {'accept': 'text/html'}) {
+    return nodeFetch(`http://localhost:${server.address().port}${path}`, {headers});
+  }
+
+  it('renders the error page matching the status', async () => {
+    let response = await fetch('/fail/500');
+    expect(response.status).toBe(500);
+    expect(await response.text()).toBe('500.html');
+
+    response = await fetch('/fail/404');
+    expect(response.status).toBe(404);
+    expect(await response.text()).toBe('404.html');
+  });
+
+  it('renders a generic page for other client errors keeping their status', async () => {
+    for (const status of [400, 405, 413]) {
+      const response = await fetch(`/fail/${status}`);
+      expect(response.status).toBe(status);
+      expect(await response.text()).toBe('4xx.html');
+    }
+  });
+
+  it('treats errors without a valid status as internal errors', async () => {
+    const response = await fetch('/fail/200');
+    expect(response.status).toBe(500);
+  });
+
+  it('sends an error ID with the response and logs it', async () => {
+    const response = await fetch('/fail/500');
+    const errorId = response.headers.get('x-error-id');
+    expect(errorId).toMatch(/^[0-9a-f]{16}$/);
+    const record = JSON.parse(console.error.calls.mostRecent().args[0]);
+    expect(record.errorId).toBe(errorId);
+    expect(record.message).toBe('Failed <badly>');
+  });
+
+  it('sends JSON errors to API clients', async () => {
+    let response = await fetch('/fail/500', {'accept': 'application/json'});
+    expect(response.status).toBe(500);
+    let body = await response.json();
+    expect(body).toEqual({
+      'error': 'Internal Server Error',
+      'errorId': response.headers.get('x-error-id'),
+    });
+
+    response = await fetch('/fail/400?__amp_source_origin=https://amp.dev');
+    expect(response.status).toBe(400);
+    body = await response.json();
+    expect(body.error).toBe('Failed <badly>');
+    expect(body.stack).toBeUndefined();
+  });
+
+  it('adds debugging details to JSON errors during development', async () => {
+    config.isDevMode.and.returnValue(true);
+    const response = await fetch('/fail/500', {'accept': 'application/json'});
+    const body = await response.json();
+    expect(body.stack).toContain('Failed <badly>');
+  });
+
+  it('renders the error with its details during development', async () => {
+    config.isDevMode.and.returnValue(true);
+    const response = await fetch('/fail/500');
+    expect(response.status).toBe(500);
+    const html = await response.text();
+    expect(html).toContain('<h1>Failed &lt;badly&gt;</h1>');
+    expect(html).toContain(response.headers.get('x-error-id'));
+    expect(express.response.sendFile).not.toHaveBeenCalled();
+  });
+});
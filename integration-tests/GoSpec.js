@@ -0,0 +1,105 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const nodeFetch = require('node-fetch');
+const config = require('@lib/config.js');
+const {router: go, parseGoLink, goLinkHits} = require('@lib/routers/go.js');
+
+describe('Go links', () => {
+  let server;
+
+  beforeAll((done) => {
+    server = express().use(go).listen(0, done);
+  });
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  function fetch(path) {
+    return nodeFetch(`http://localhost:${server.address().port}${path}`, {
+      'redirect': 'manual',
+    });
+  }
+
+  it('redirects links', async () => {
+    const response = await fetch('/ads');
+    expect(response.status).toBe(302);
+    expect(response.headers.get('location')).toBe(`${config.hosts.platform.base}/about/ads`);
+  });
+
+  it('substitutes parameters in the target', async () => {
+    const response = await fetch('/s/components/amp-carousel');
+    expect(response.status).toBe(302);
+    expect(response.headers.get('location'))
+        .toBe(`${config.hosts.platform.base}/documentation/examples/components/amp-carousel/`);
+  });
+
+  it('does not redirect paths only partially matching a link', async () => {
+    const response = await fetch('/c/amp-carousel/more');
+    expect(response.status).toBe(404);
+  });
+
+  it('counts hits per link instead of per requested path', async () => {
+    const hits = goLinkHits.get({'link': '/c/:component'});
+    await fetch('/c/amp-img');
+    await fetch('/c/amp-list');
+    expect(goLinkHits.get({'link': '/c/:component'})).toBe(hits + 2);
+    expect(goLinkHits.get({'link': '/c/amp-img'})).toBe(0);
+  });
+
+  it('lists all links with their hits on the index', async () => {
+    await fetch('/email');
+    const response = await fetch('/');
+    expect(response.status).toBe(200);
+    const html = await response.text();
+    expect(html).toContain(`<a href="${config.hosts.platform.base}/about/email">/about/email</a>`);
+    const row = html.split('<tr>').find((row) => row.includes('<code>/email</code>'));
+    expect(row).toMatch(/<td>[1-9]\d*<\/td>\s*<\/tr>/);
+    // Links with parameters have no target to link to
+    expect(html).toContain('<td>/documentation/components/:component</td>');
+  });
+
+  it('does not create series when rendering the index', async () => {
+    await fetch('/');
+    expect(goLinkHits._findSeries({'link': '/vision-mission'})).toBeUndefined();
+  });
+
+  describe('definitions', () => {
+    it('accept rooted paths and absolute URLs', () => {
+      expect(parseGoLink('/a', '/about/ads').target).toBe('/about/ads');
+      expect(parseGoLink('/b', {'target': 'https://blog.amp.dev/'}).target)
+          .toBe('https://blog.amp.dev/');
+    });
+
+    it('reject relative and non-http targets', () => {
+      expect(() => parseGoLink('/a', 'about/ads')).toThrowError(/rooted path/);
+      expect(() => parseGoLink('/a', '//example.com/')).toThrowError(/rooted path/);
+      expect(() => parseGoLink('/a', 'ftp://example.com/file')).toThrowError(/protocol/);
+    });
+
+    it('reject targets using unknown parameters', () => {
+      expect(() => parseGoLink('/c/:component', '/documentation/:name'))
+          .toThrowError(/unknown parameter :name/);
+    });
+
+    it('reject links without target', () => {
+      expect(() => parseGoLink('/a', {'description': 'Nothing'})).toThrowError(/no target/);
+    });
+  });
+});
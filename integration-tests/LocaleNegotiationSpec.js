@@ -0,0 +1,144 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const http = require('http');
+const {URL} = require('url');
+const nodeFetch = require('node-fetch');
+const config = require('@lib/config.js');
+const localeNegotiation = require('@lib/middleware/localeNegotiation.js');
+const {negotiateLocale} = localeNegotiation;
+
+describe('Locale negotiation', () => {
+  describe('negotiateLocale', () => {
+    const locales = ['en', 'fr', 'pt_BR', 'zh_CN'];
+
+    it('prefers languages by their quality', () => {
+      expect(negotiateLocale('de;q=0.9, fr;q=0.8, en;q=0.7', locales)).toBe('fr');
+      expect(negotiateLocale('en;q=0.5, fr', locales)).toBe('fr');
+    });
+
+    it('keeps the order of languages with the same quality', () => {
+      expect(negotiateLocale('fr, en', locales)).toBe('fr');
+      expect(negotiateLocale('en;q=0.8, fr;q=0.8', locales)).toBe('en');
+    });
+
+    it('matches regions exactly and by their primary language', () => {
+      expect(negotiateLocale('pt-BR', locales)).toBe('pt_BR');
+      expect(negotiateLocale('zh-cn', locales)).toBe('zh_CN');
+      expect(negotiateLocale('pt-PT', locales)).toBe('pt_BR');
+    });
+
+    it('ignores wildcards and rejected languages', () => {
+      expect(negotiateLocale('*', locales)).toBeUndefined();
+      expect(negotiateLocale('fr;q=0, de', locales)).toBeUndefined();
+      expect(negotiateLocale('', locales)).toBeUndefined();
+    });
+  });
+
+  describe('middleware', () => {
+    let server;
+    let grow;
+    let pagesBase;
+
+    beforeAll(async () => {
+      // Stands in for Grow serving the pages during development
+      grow = http.createServer((request, response) => {
+        if (request.url === '/index.html') {
+          response.end('<link rel="alternate" hreflang="fr" href="/fr/">');
+          return;
+        }
+        response.end('<html></html>');
+      });
+      await new Promise((resolve) => grow.listen(0, resolve));
+      pagesBase = config.hosts.pages.base;
+      config.hosts.pages.base = `http://localhost:${grow.address().port}`;
+
+      const app = express();
+      app.use(localeNegotiation);
+      app.use((request, response) => response.send('page'));
+      await new Promise((resolve) => {
+        server = app.listen(0, resolve);
+      });
+    });
+    afterAll(async () => {
+      config.hosts.pages.base = pagesBase;
+      await new Promise((resolve) => server.close(resolve));
+      await new Promise((resolve) => grow.close(resolve));
+    });
+    beforeEach(() => {
+      // Translations are looked up from Grow and not cached
+      spyOn(config, 'isDevMode').and.returnValue(true);
+    });
+
+    function fetch(path, headers = {}) {
+      return nodeFetch(`http://localhost:${server.address().port}${path}`, {
+        headers,
+        'redirect': 'manual',
+      });
+    }
+
+    it('redirects to the translation matching Accept-Language', async () => {
+      const response = await fetch('/', {'accept-language': 'de, fr;q=0.9, en;q=0.8'});
+      expect(response.status).toBe(302);
+      expect(new URL(response.headers.get('location')).pathname).toBe('/fr/');
+      expect(response.headers.get('vary')).toContain('Accept-Language');
+      expect(response.headers.get('vary')).toContain('Cookie');
+    });
+
+    it('serves the page if there is no translation', async () => {
+      const response = await fetch('/untranslated.html', {'accept-language': 'fr'});
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-language')).toBe('en');
+      expect(response.headers.get('vary')).toContain('Accept-Language');
+    });
+
+    it('prefers the locale chosen before over Accept-Language', async () => {
+      let response = await fetch('/', {'accept-language': 'fr', 'cookie': 'locale=en'});
+      expect(response.status).toBe(200);
+
+      response = await fetch('/', {'accept-language': 'en', 'cookie': 'locale=fr'});
+      expect(response.status).toBe(302);
+      expect(new URL(response.headers.get('location')).pathname).toBe('/fr/');
+    });
+
+    it('remembers the locale chosen via the language selector', async () => {
+      const response = await fetch('/documentation/?lang=fr&format=email');
+      expect(response.status).toBe(302);
+      const location = new URL(response.headers.get('location'));
+      expect(location.pathname + location.search).toBe('/documentation/?format=email');
+      expect(response.headers.get('set-cookie')).toMatch(/^locale=fr;.*HttpOnly/);
+    });
+
+    it('ignores unknown chosen locales', async () => {
+      const response = await fetch('/?lang=xx');
+      expect(response.status).toBe(200);
+      expect(response.headers.get('set-cookie')).toBeNull();
+    });
+
+    it('does not negotiate localized and AMP pages', async () => {
+      let response = await fetch('/fr/', {'accept-language': 'en'});
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-language')).toBe('fr');
+
+      response = await fetch('/index.amp.html', {'accept-language': 'fr'});
+      expect(response.status).toBe(200);
+      expect(response.headers.get('vary')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const express = require('express');
+const nodeFetch = require('node-fetch');
+const config = require('@lib/config.js');
+const maintenance = require('@lib/middleware/maintenance.js');
+
+describe('Maintenance', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(maintenance);
+    app.use((request, response) => response.send('page'));
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('passes requests on while the flag is turned off', async () => {
+    spyOn(config, 'isFlagEnabled').and.returnValue(false);
+    const response = await nodeFetch(baseUrl);
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('page');
+    expect(config.isFlagEnabled).toHaveBeenCalledWith('maintenance');
+  });
+
+  it('responds with 503 while the flag is turned on', async () => {
+    spyOn(config, 'isFlagEnabled').and.returnValue(true);
+    const response = await nodeFetch(baseUrl, {'headers': {'accept': 'application/json'}});
+    expect(response.status).toBe(503);
+    expect(response.headers.get('retry-after')).toBe('600');
+    expect(response.headers.get('cache-control')).toContain('no-cache');
+    expect(await response.text()).toBe('Down for maintenance');
+  });
+
+  it('serves the maintenance page to browsers', async () => {
+    spyOn(config, 'isFlagEnabled').and.returnValue(true);
+    const response = await nodeFetch(baseUrl, {'headers': {'accept': 'text/html'}});
+    expect(response.status).toBe(503);
+    expect(response.headers.get('retry-after')).toBe('600');
+    expect(response.headers.get('content-type')).toContain('text/html');
+  });
+});
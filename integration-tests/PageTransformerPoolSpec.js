@@ -0,0 +1,183 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const del = require('del');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const workerThreads = require('worker_threads');
+const {timers} = require('exectimer');
+const {pageTransformer} = require('@lib/build/pageTransformer.js');
+const PageTransformerPool = require('@lib/build/pageTransformerPool.js');
+
+// The module exports the transformer for the pipeline
+const PageTransformer = pageTransformer.constructor;
+
+const RUNTIME_VERSION = '011905040000000';
+// Workers need a while to load the transformer and its dependencies
+const WORKER_TIMEOUT = 60 * 1000;
+
+describe('PageTransformerPool', () => {
+  let root;
+  let transformer;
+  let pool;
+
+  /**
+   * Creates a pool with real workers for a transformer caching to the
+   * temporary directory
+   * @param  {Number} size
+   * @return {PageTransformerPool}
+   */
+  const createPool = (size) => {
+    transformer = new PageTransformer({
+      'runtimeVersion': RUNTIME_VERSION,
+      'pageCacheDest': path.join(root, 'cache'),
+      'imageBasePath': root,
+    });
+    spyOn(transformer, 'getRuntimeVersion').and.callThrough();
+    pool = new PageTransformerPool(size, transformer);
+    return pool;
+  };
+  const createPage = (name) => {
+    return {
+      'path': path.join(root, `${name}.html`),
+      'relative': `${name}.html`,
+      'html': '<html><head><style amp-custom>.pool-test { color: red; }</style></head>' +
+        '<body><p class="pool-test">Pool</p></body></html>',
+    };
+  };
+  /**
+   * Resolves once the condition is met to wait for the workers
+   * @param  {Function} condition
+   * @return {Promise}
+   */
+  const waitFor = async (condition) => {
+    while (!condition()) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  };
+  // Transforming fails if the AMP runtime can't be downloaded, the pool
+  // has to be working either way
+  const settle = (promise) => promise.catch((error) => error);
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'page-transformer-pool-'));
+  });
+
+  afterEach(async () => {
+    if (pool) {
+      await pool.terminate();
+      pool = null;
+    }
+    del.sync(root, {'force': true});
+  });
+
+  it('resolves the runtime version once for all workers', async () => {
+    createPool(2);
+    expect(pool._workers.size).toBe(0);
+
+    await Promise.all([
+      settle(pool.transform(createPage('first'))),
+      settle(pool.transform(createPage('second'))),
+    ]);
+
+    expect(transformer.getRuntimeVersion).toHaveBeenCalledTimes(1);
+    expect(pool._runtimeVersion).toBe(RUNTIME_VERSION);
+    expect(pool._workers.size).toBe(2);
+  }, WORKER_TIMEOUT);
+
+  it('rewrites selectors on the main thread', async () => {
+    createPool(1);
+    spyOn(transformer, 'rewriteSelectors').and.callFake((html) => html);
+    const ticks = timers['rewritingSelectors'] ? timers['rewritingSelectors'].ticks.length : 0;
+
+    const page = createPage('selectors');
+    await settle(pool.transform(page));
+
+    expect(transformer.rewriteSelectors).toHaveBeenCalledWith(jasmine.any(String), page.path);
+    expect(timers['rewritingSelectors'].ticks.length).toBe(ticks + 1);
+  }, WORKER_TIMEOUT);
+
+  it('fails the page of a crashed worker and replaces the worker', async () => {
+    createPool(1);
+    const page = createPage('crash');
+    const transformation = pool.transform(page);
+    await waitFor(() => pool._tasks.size);
+
+    const [worker] = pool._tasks.keys();
+    await worker.terminate();
+
+    await transformation.then(fail, (error) => {
+      expect(error.message).toMatch(`^Worker transforming ${page.path} exited: \\d+$`);
+    });
+    expect(pool._workers.size).toBe(1);
+    expect(pool._workers.has(worker)).toBe(false);
+    expect(pool._failure).toBe(null);
+  }, WORKER_TIMEOUT);
+
+  it('rejects queued pages once all workers exited', async () => {
+    createPool(1);
+    await pool._start();
+    const [worker] = pool._workers;
+    const queued = pool.transform(createPage('queued'));
+    // Keep the page queued while the only worker exits
+    pool._idleWorkers = [];
+    await worker.terminate();
+
+    await queued.then(fail, (error) => {
+      expect(error.message).toMatch(/^All workers exited, the last one with \d+$/);
+    });
+    await pool.transform(createPage('later')).then(fail, (error) => {
+      expect(error.message).toMatch(/^All workers exited, the last one with \d+$/);
+    });
+    expect(pool._workers.size).toBe(0);
+  }, WORKER_TIMEOUT);
+
+  it('shares minified CSS with the main thread and all other workers', async () => {
+    createPool(2);
+    await pool._start();
+    const [minifyingWorker, otherWorker] = pool._workers;
+    spyOn(minifyingWorker, 'postMessage');
+    spyOn(otherWorker, 'postMessage');
+
+    const message = {'type': 'cssMinified', 'hash': 'hash', 'styles': '.a{color:red}'};
+    pool._handleMessage(minifyingWorker, message);
+
+    expect(transformer._minifiedCssCache['hash']).toBe('.a{color:red}');
+    expect(minifyingWorker.postMessage).not.toHaveBeenCalled();
+    expect(otherWorker.postMessage).toHaveBeenCalledWith(message);
+  }, WORKER_TIMEOUT);
+
+  it('starts workers with the CSS minified so far', async () => {
+    createPool(1);
+    transformer._minifiedCssCache['hash'] = '.a{color:red}';
+    const {Worker} = workerThreads;
+    const workerData = [];
+    spyOn(workerThreads, 'Worker').and.callFake((filename, options) => {
+      workerData.push(options.workerData);
+      return new Worker(filename, options);
+    });
+
+    await pool._start();
+
+    expect(workerData).toEqual([{
+      'minifiedCssCache': {'hash': '.a{color:red}'},
+      'runtimeVersion': RUNTIME_VERSION,
+    }]);
+  }, WORKER_TIMEOUT);
+});
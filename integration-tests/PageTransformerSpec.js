@@ -0,0 +1,208 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const del = require('del');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Vinyl = require('vinyl');
+const {project} = require('@lib/utils');
+const {pageTransformer} = require('@lib/build/pageTransformer.js');
+const PageTransformerPool = require('@lib/build/pageTransformerPool.js');
+
+// The module exports the transformer for the pipeline
+const PageTransformer = pageTransformer.constructor;
+
+const RUNTIME_VERSION = '011905040000000';
+const IMAGE_NAME = '__cache-test.png';
+const HTML = `<html><body><amp-img src="/${IMAGE_NAME}"></amp-img></body></html>`;
+
+describe('PageTransformer cache', () => {
+  let root;
+  let pagesSrc;
+  let pageCacheDest;
+  let imageBasePath;
+  let transformer;
+
+  /**
+   * Creates a transformer as it's created for each build, caching to and
+   * reading images from the temporary directory
+   * @return {PageTransformer}
+   */
+  const createTransformer = () => {
+    const newTransformer = new PageTransformer({
+      'runtimeVersion': RUNTIME_VERSION,
+      pageCacheDest,
+      imageBasePath,
+    });
+    spyOn(newTransformer._log, 'success');
+    spyOn(newTransformer._log, 'info');
+    return newTransformer;
+  };
+  const createPage = (html) => {
+    return new Vinyl({
+      'base': pagesSrc,
+      'path': path.join(pagesSrc, '__cache-test.html'),
+      'contents': Buffer.from(html),
+    });
+  };
+  const writeCache = (key, page) => {
+    const transformedPage = page.clone();
+    transformedPage.contents = Buffer.from('transformed');
+    transformer._writeCache(key, [transformedPage]);
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'page-transformer-'));
+    pagesSrc = path.join(root, 'src');
+    pageCacheDest = path.join(root, 'cache');
+    imageBasePath = path.join(root, 'images');
+    fs.mkdirSync(pagesSrc);
+    fs.mkdirSync(imageBasePath);
+    fs.writeFileSync(path.join(imageBasePath, IMAGE_NAME), 'image');
+    transformer = createTransformer();
+  });
+  afterEach(() => {
+    del.sync(root, {'force': true});
+  });
+
+  it('misses pages that have not been cached', async () => {
+    const page = createPage(HTML);
+    const key = await transformer._getCacheKey(page, HTML);
+    expect(transformer._readCache(key, page)).toBeUndefined();
+    expect(transformer._cacheStats).toEqual({'hits': 0, 'misses': 1});
+  });
+
+  it('hits cached pages', async () => {
+    const page = createPage(HTML);
+    const key = await transformer._getCacheKey(page, HTML);
+    writeCache(key, page);
+
+    const cachedPages = transformer._readCache(key, page);
+    expect(cachedPages.length).toBe(1);
+    expect(cachedPages[0].path).toBe(page.path);
+    expect(cachedPages[0].contents.toString()).toBe('transformed');
+    expect(transformer._cacheStats).toEqual({'hits': 1, 'misses': 0});
+  });
+
+  it('invalidates pages when their html changes', async () => {
+    const page = createPage(HTML);
+    const key = await transformer._getCacheKey(page, HTML);
+
+    const changedHtml = HTML.replace('<body>', '<body><p>Changed</p>');
+    const changedKey = await transformer._getCacheKey(createPage(changedHtml), changedHtml);
+    expect(changedKey).not.toBe(key);
+  });
+
+  it('invalidates pages when a referenced image changes', async () => {
+    const page = createPage(HTML);
+    const key = await transformer._getCacheKey(page, HTML);
+
+    fs.writeFileSync(path.join(imageBasePath, IMAGE_NAME), 'changed image');
+    expect(await createTransformer()._getCacheKey(page, HTML)).not.toBe(key);
+  });
+
+  it('invalidates pages when the AMP runtime version changes', async () => {
+    const page = createPage(HTML);
+    const key = await transformer._getCacheKey(page, HTML);
+
+    const nextTransformer = new PageTransformer({
+      'runtimeVersion': '011906040000000',
+      pageCacheDest,
+      imageBasePath,
+    });
+    expect(await nextTransformer._getCacheKey(page, HTML)).not.toBe(key);
+  });
+
+  it('keeps unused entries until they expire', async () => {
+    const page = createPage(HTML);
+    const key = await transformer._getCacheKey(page, HTML);
+    writeCache(key, page);
+    const entryPath = path.join(pageCacheDest, `${key}.json`);
+
+    // A build of other pages only
+    const otherTransformer = createTransformer();
+    otherTransformer._pruneCache();
+    expect(fs.existsSync(entryPath)).toBe(true);
+
+    const expired = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(entryPath, expired, expired);
+    otherTransformer._pruneCache();
+    expect(fs.existsSync(entryPath)).toBe(false);
+  });
+
+  describe('builds', () => {
+    const pagesDest = project.paths.PAGES_DEST;
+
+    beforeEach(() => {
+      project.paths.PAGES_DEST = path.join(root, 'dest');
+      fs.writeFileSync(path.join(pagesSrc, 'index.html'), HTML);
+      // Transform the pages on the main thread to observe the transformer
+      spyOn(PageTransformerPool, 'create').and.returnValue(null);
+    });
+    afterEach(() => {
+      project.paths.PAGES_DEST = pagesDest;
+    });
+
+    /**
+     * Builds the pages with a new transformer that marks the pages as
+     * transformed instead of optimizing them
+     * @return {Promise<PageTransformer>}
+     */
+    const build = () => {
+      const buildTransformer = createTransformer();
+      spyOn(buildTransformer, 'transformPage').and.callFake(async (page) => ({
+        'pages': [
+          {'path': page.path, 'html': `transformed ${page.relative}`},
+          {'path': page.path.replace('.html', '.amp.html'), 'html': 'transformed AMP'},
+        ],
+        'cacheable': true,
+      }));
+      return new Promise((resolve, reject) => {
+        buildTransformer.start(pagesSrc)
+            .on('error', reject)
+            .on('finish', () => resolve(buildTransformer));
+      });
+    };
+    const readBuiltPage = (page) => {
+      return fs.readFileSync(path.join(project.paths.PAGES_DEST, page), 'utf-8');
+    };
+
+    it('skip transforming pages cached by the previous build', async () => {
+      const firstBuild = await build();
+      expect(firstBuild.transformPage).toHaveBeenCalledTimes(1);
+      expect(firstBuild._cacheStats).toEqual({'hits': 0, 'misses': 1});
+      expect(readBuiltPage('index.html')).toBe('transformed index.html');
+
+      del.sync(project.paths.PAGES_DEST, {'force': true});
+      const secondBuild = await build();
+      expect(secondBuild.transformPage).not.toHaveBeenCalled();
+      expect(secondBuild._cacheStats).toEqual({'hits': 1, 'misses': 0});
+      expect(readBuiltPage('index.html')).toBe('transformed index.html');
+      expect(readBuiltPage('index.amp.html')).toBe('transformed AMP');
+    });
+
+    it('transform pages that changed since the previous build', async () => {
+      await build();
+      fs.writeFileSync(path.join(pagesSrc, 'index.html'), HTML.replace('<body>', '<body>New'));
+      const secondBuild = await build();
+      expect(secondBuild.transformPage).toHaveBeenCalledTimes(1);
+      expect(secondBuild._cacheStats).toEqual({'hits': 0, 'misses': 1});
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const del = require('del');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const amphtmlValidator = require('amphtml-validator');
+const {pageValidator} = require('@lib/build/pageValidator.js');
+
+// The module exports the validator writing its reports to dist
+const PageValidator = pageValidator.constructor;
+
+const PAGES = {
+  'index.html': '<html ⚡>Canonical</html>',
+  'index.amp.html': '<html ⚡ lang="en">Valid</html>',
+  'index.stories.html': '<html ⚡><invalid></html>',
+  'email.amp.html': '<html ⚡4email>Email</html>',
+  'ads/banner.amp.html': '<html amp4ads><invalid></html>',
+  'examples/sample.amp.html': '<html ⚡><invalid></html>',
+};
+
+const ALLOWLIST = `
+- page: ^ads/
+  code: DISALLOWED_TAG
+- page: ^examples/
+  code: UNKNOWN_CODE
+`;
+
+describe('PageValidator', () => {
+  let root;
+  let validateString;
+  let report;
+
+  beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-'));
+    for (const [file, html] of Object.entries(PAGES)) {
+      fs.mkdirSync(path.join(root, 'pages', path.dirname(file)), {'recursive': true});
+      fs.writeFileSync(path.join(root, 'pages', file), html);
+    }
+    fs.writeFileSync(path.join(root, 'allowlist.yaml'), ALLOWLIST);
+
+    // Stands in for the validator which is loaded from the AMP CDN
+    validateString = jasmine.createSpy('validateString').and.callFake((html) => {
+      const errors = [{'severity': 'WARNING', 'line': 1, 'col': 1, 'code': 'DEPRECATED_TAG',
+        'message': 'Deprecated'}];
+      if (html.includes('<invalid>')) {
+        errors.push({'severity': 'ERROR', 'line': 1, 'col': 10, 'code': 'DISALLOWED_TAG',
+          'message': 'The tag \'invalid\' is disallowed & "unknown".',
+          'specUrl': 'https://amp.dev/documentation/'});
+      }
+      return {'status': errors.length > 1 ? 'FAIL' : 'PASS', errors};
+    });
+    spyOn(amphtmlValidator, 'getInstance').and.returnValue(Promise.resolve({validateString}));
+
+    const validator = new PageValidator(root, path.join(root, 'allowlist.yaml'));
+    spyOn(validator._log, 'success');
+    spyOn(validator._log, 'error');
+    report = await validator.validate(path.join(root, 'pages'));
+  });
+  afterAll(() => {
+    del.sync(root, {'force': true});
+  });
+
+  function getPage(page) {
+    return report.pages.find((result) => result.page === page);
+  }
+
+  it('validates AMP pages and format variants of canonical ones', () => {
+    expect(report.pages.map((result) => result.page).sort()).toEqual([
+      'ads/banner.amp.html',
+      'email.amp.html',
+      'examples/sample.amp.html',
+      'index.amp.html',
+      'index.stories.html',
+    ]);
+  });
+
+  it('picks the validator by the <html> element', () => {
+    expect(validateString).toHaveBeenCalledWith(PAGES['email.amp.html'], 'AMP4EMAIL');
+    expect(validateString).toHaveBeenCalledWith(PAGES['ads/banner.amp.html'], 'AMP4ADS');
+    expect(validateString).toHaveBeenCalledWith(PAGES['index.amp.html'], 'AMP');
+    expect(getPage('email.amp.html').format).toBe('AMP4EMAIL');
+  });
+
+  it('only reports errors', () => {
+    expect(getPage('index.amp.html')).toEqual(jasmine.objectContaining({
+      'status': 'PASS',
+      'errors': [],
+    }));
+    expect(getPage('index.stories.html')).toEqual(jasmine.objectContaining({
+      'status': 'FAIL',
+      'errors': [{
+        'line': 1,
+        'col': 10,
+        'code': 'DISALLOWED_TAG',
+        'message': 'The tag \'invalid\' is disallowed & "unknown".',
+        'specUrl': 'https://amp.dev/documentation/',
+        'allowed': false,
+      }],
+    }));
+  });
+
+  it('passes pages whose errors match the allowlist by page and code', () => {
+    expect(getPage('ads/banner.amp.html').status).toBe('PASS');
+    expect(getPage('ads/banner.amp.html').errors[0].allowed).toBe(true);
+    expect(getPage('examples/sample.amp.html').status).toBe('FAIL');
+    expect(report.summary).toEqual({'pages': 5, 'failed': 2, 'errors': 2, 'allowedErrors': 1});
+  });
+
+  it('writes the JSON report', () => {
+    const written = JSON.parse(fs.readFileSync(path.join(root, 'validation-report.json')));
+    expect(written).toEqual(report);
+  });
+
+  it('writes the JUnit report with one suite per format', () => {
+    const junit = fs.readFileSync(path.join(root, 'validation-report.xml'), 'utf-8');
+    expect(junit).toContain('<testsuites name="AMP validation" tests="5" failures="2">');
+    expect(junit).toContain('<testsuite name="AMP" tests="3" failures="2">');
+    expect(junit).toContain('<testsuite name="AMP4ADS" tests="1" failures="0">');
+    expect(junit).toContain('<testsuite name="AMP4EMAIL" tests="1" failures="0">');
+    expect(junit).toMatch(
+        /<testcase classname="AMP4EMAIL" name="email\.amp\.html" time="\d+\.\d{3}"\/>/);
+    expect(junit).toContain('<failure message="1 validation errors" type="AMP">' +
+      '1:10 DISALLOWED_TAG The tag &apos;invalid&apos; is disallowed &amp; &quot;unknown&quot;.' +
+      '</failure>');
+  });
+});
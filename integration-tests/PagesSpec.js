@@ -0,0 +1,146 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const del = require('del');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodeFetch = require('node-fetch');
+const config = require('@lib/config.js');
+const {project} = require('@lib/utils');
+const {addFormatNotice} = require('@lib/common/filteredPage.js');
+
+const GUIDE = '/documentation/guides-and-tutorials/start.html';
+const NOTICE = '<div class="ap-m-format-notice" data-format-notice="ads">Not for ads</div>';
+
+/**
+ * Builds a page as rendered by Grow
+ * @param  {String} content
+ * @return {String}
+ */
+function page(content) {
+  return '<!doctype html><html><head></head>' +
+    `<body data-available-formats="websites stories">${NOTICE}${content}</body></html>`;
+}
+
+describe('Pages', () => {
+  describe('addFormatNotice', () => {
+    it('marks the page as fallback for the format', () => {
+      const html = addFormatNotice(page('Websites'), 'ads');
+      expect(html).toContain('data-format-fallback="ads"');
+      expect(html).toContain(NOTICE);
+    });
+
+    it('keeps the markup of the icons intact', () => {
+      const html = addFormatNotice(page('<svg><use xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+        'xlink:href="#logo"></use></svg>'), 'ads');
+      expect(html).toContain('xmlns:xlink="http://www.w3.org/1999/xlink"');
+      expect(html).toContain('xlink:href="#logo"');
+    });
+  });
+
+  describe('router', () => {
+    const pagesRouterPath = require.resolve('@lib/routers/pages.js');
+    let cachedPagesRouter;
+    let pagesDest;
+    let root;
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'pages-'));
+      const guides = path.join(root, path.dirname(GUIDE));
+      fs.mkdirSync(guides, {'recursive': true});
+      fs.writeFileSync(path.join(root, GUIDE), page('Websites'));
+      fs.writeFileSync(path.join(root, GUIDE.replace('.html', '.stories.html')), page('Stories'));
+      fs.writeFileSync(path.join(root, 'index.html'), page('Home'));
+
+      // Load the router as it's set up in production serving the pages
+      // from the temporary directory
+      pagesDest = project.paths.PAGES_DEST;
+      project.paths.PAGES_DEST = root;
+      cachedPagesRouter = require.cache[pagesRouterPath];
+      delete require.cache[pagesRouterPath];
+      spyOn(config, 'isDevMode').and.returnValue(false);
+      const pages = require(pagesRouterPath);
+
+      const app = express();
+      app.use(pages);
+      await new Promise((resolve) => {
+        server = app.listen(0, resolve);
+      });
+      baseUrl = `http://localhost:${server.address().port}`;
+    });
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+      project.paths.PAGES_DEST = pagesDest;
+      require.cache[pagesRouterPath] = cachedPagesRouter;
+      if (!cachedPagesRouter) {
+        delete require.cache[pagesRouterPath];
+      }
+      del.sync(root, {'force': true});
+    });
+
+    function fetch(url, headers = {}) {
+      return nodeFetch(`${baseUrl}${url}`, {headers});
+    }
+
+    it('serves the variant for the chosen format and remembers it', async () => {
+      const response = await fetch(`${GUIDE}?format=stories`);
+      expect(response.status).toBe(200);
+      expect(await response.text()).toContain('Stories');
+      expect(response.headers.get('vary')).toContain('Cookie');
+      expect(response.headers.get('set-cookie')).toMatch(/^format=stories;.*HttpOnly/);
+    });
+
+    it('restores the format from the cookie', async () => {
+      const response = await fetch(GUIDE, {'cookie': 'format=stories'});
+      expect(await response.text()).toContain('Stories');
+      expect(response.headers.get('vary')).toContain('Cookie');
+      expect(response.headers.get('set-cookie')).toBeNull();
+    });
+
+    it('ignores invalid formats', async () => {
+      const response = await fetch(`${GUIDE}?format=print`);
+      expect(await response.text()).toContain('Websites');
+      expect(response.headers.get('set-cookie')).toBeNull();
+    });
+
+    it('falls back to the websites variant with the notice', async () => {
+      const response = await fetch(`${GUIDE}?format=ads`);
+      expect(response.status).toBe(200);
+      const html = await response.text();
+      expect(html).toContain('Websites');
+      expect(html).toContain('<body data-available-formats="websites stories" ' +
+        'data-format-fallback="ads">');
+      expect(response.headers.get('vary')).toContain('Cookie');
+      expect(response.headers.get('set-cookie')).toMatch(/^format=ads;/);
+
+      const revalidated = await fetch(GUIDE, {
+        'cookie': 'format=ads',
+        'if-none-match': response.headers.get('etag'),
+      });
+      expect(revalidated.status).toBe(304);
+    });
+
+    it('neither filters nor remembers the format outside of filterable routes', async () => {
+      const response = await fetch('/index.html?format=stories');
+      expect(await response.text()).toContain('Home');
+      expect(response.headers.get('set-cookie')).toBeNull();
+    });
+  });
+});
@@ -16,30 +16,164 @@
 
 'use strict';
 
-// const nodeFetch = require('node-fetch');
-// const config = require('@lib/config.js');
-// const Platform = require('@lib/platform.js');
-// const platform = new Platform();
-// const {HEALTH_CHECK_PATH} = require('@lib/routers/healthCheck.js');
+const http = require('http');
+const net = require('net');
+const {URL} = require('url');
+const nodeFetch = require('node-fetch');
+const config = require('@lib/config.js');
+const Platform = require('@lib/platform.js');
+const platform = new Platform();
+// The stand-in for the AMP packager configured by run.js
+const PACKAGER_PORT = Number(process.env.AMP_DEV_HOST_PACKAGER_PORT);
+const {
+  HEALTH_CHECK_PATH,
+  READINESS_CHECK_PATH,
+  READINESS_CHECKS,
+} = require('@lib/routers/healthCheck.js');
+const {METRICS_PATH} = require('@lib/routers/metrics.js');
+const {router: go} = require('@lib/routers/go.js');
 
 describe('Platform', () => {
-  it('is it not implemented yet', () => {
-  });
-  /*
-  beforeAll(async (done) => {
+  beforeAll(async () => {
     await platform.start();
-    setTimeout(done, 1000);
   });
-  afterAll(async (done) => {
+  afterAll(async () => {
     await platform.stop();
-    done();
   });
-  it('serves health check', async (done) => {
+  it('serves health check', async () => {
     const response = await fetch(HEALTH_CHECK_PATH);
     expect(response.status).toBe(200);
-    console.log('response', response.status);
-    done();
   });
+  it('serves readiness check', async () => {
+    for (const name of Object.keys(READINESS_CHECKS)) {
+      spyOn(READINESS_CHECKS, name).and.returnValue(Promise.resolve({'status': 'ok'}));
+    }
+    const response = await fetch(READINESS_CHECK_PATH);
+    expect(response.status).toBe(200);
+    const result = await response.json();
+    expect(result.status).toBe('ok');
+    expect(Object.keys(result.checks)).toContain('pages');
+    expect(Object.keys(result.checks)).toContain('packager');
+  });
+  it('fails readiness check if a check fails', async () => {
+    for (const name of Object.keys(READINESS_CHECKS)) {
+      spyOn(READINESS_CHECKS, name).and.returnValue(Promise.resolve({'status': 'ok'}));
+    }
+    READINESS_CHECKS.pages.and.returnValue(Promise.resolve({
+      'status': 'failed',
+      'message': '/secret/path does not exist',
+    }));
+    const response = await fetch(READINESS_CHECK_PATH);
+    expect(response.status).toBe(503);
+    const result = await response.json();
+    expect(result.status).toBe('failed');
+    expect(result.checks.pages).toEqual({'status': 'failed'});
+    expect(result.checks.packager).toEqual({'status': 'ok'});
+  });
+  it('serves metrics', async () => {
+    await fetch(HEALTH_CHECK_PATH);
+    const response = await fetch(METRICS_PATH);
+    expect(response.status).toBe(200);
+    const body = await response.text();
+    expect(body).toContain('amp_dev_http_requests_total{router="healthCheck",status="200"}');
+    expect(body).toContain(
+        'amp_dev_http_request_duration_seconds_bucket{router="healthCheck",le="+Inf"}');
+  });
+  it('does not serve metrics without a token outside of development', async () => {
+    spyOn(config, 'isDevMode').and.returnValue(false);
+    const response = await fetch(METRICS_PATH);
+    expect(response.status).toBe(404);
+    expect(await response.text()).not.toContain('amp_dev_http_requests_total');
+  });
+  it('only trusts the address added by the front end', () => {
+    // Rate limits are keyed by request.ip which relies on this
+    expect(platform.server.get('trust proxy')).toBe(1);
+  });
+  it('redirects legacy documentation URLs', async () => {
+    const response = await fetch('/fr/docs/reference/components/amp-img.html?format=email', {
+      redirect: 'manual',
+    });
+    expect(response.status).toBe(301);
+    expect(response.headers.get('location'))
+        .toBe(config.hosts.platform.base + '/fr/documentation/components/amp-img?format=email');
+  });
+  it('does not package AMP pages failing the pre-check', async () => {
+    const {packagerRequests, response} = await fetchSigned('/does-not-exist.amp.html');
+    expect(response.status).toBe(404);
+    expect(response.headers.get('content-type')).not.toContain('application/signed-exchange');
+    expect(response.headers.get('vary')).toContain('AMP-Cache-Transform');
+    expect(packagerRequests).toEqual([]);
+  });
+  it('does not package AMP pages served with another content type', async () => {
+    const {packagerRequests, response} = await fetchSigned('/__sxg-test.amp.html', {
+      'page': (request, response) => response.end('{}'),
+    });
+    expect(response.status).toBe(200);
+    expect(packagerRequests).toEqual([]);
+  });
+  it('does not package AMP pages excluded from signing', async () => {
+    const {packagerRequests, response} = await fetchSigned('/404.amp.html');
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('<html ⚡>/404.amp.html</html>');
+    expect(packagerRequests).toEqual([]);
+  });
+  it('packages AMP pages passing the pre-check', async () => {
+    const {packagerRequests, response} = await fetchSigned('/__sxg-test-signed.amp.html');
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('application/signed-exchange');
+    const signedUrl = '/priv/doc?sign=' +
+      encodeURIComponent('https://amp.dev/__sxg-test-signed.amp.html');
+    expect(await response.text()).toBe(signedUrl);
+    expect(packagerRequests).toEqual([signedUrl]);
+  });
+  it('serves the unsigned AMP page if signing fails', async () => {
+    const {packagerRequests, response} = await fetchSigned('/__sxg-test-unsigned.amp.html', {
+      'packager': (request, response) => {
+        response.statusCode = 500;
+        response.end('Failed');
+      },
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('text/html');
+    expect(await response.text()).toBe('<html ⚡>/__sxg-test-unsigned.amp.html</html>');
+    expect(packagerRequests.length).toBe(1);
+  });
+  it('reports server timing', async () => {
+    const response = await fetch(HEALTH_CHECK_PATH);
+    expect(response.headers.get('server-timing')).toMatch(/^total;dur=[\d.]+;desc="healthCheck"$/);
+  });
+  it('closes idle keep-alive connections on stop', async () => {
+    const {hostname, port} = new URL(config.hosts.platform.base);
+    const socket = net.connect(port || 80, hostname);
+    const closed = new Promise((resolve) => socket.on('close', () => resolve(true)));
+    const response = await new Promise((resolve) => {
+      socket.once('data', (data) => resolve(data.toString()));
+      socket.write(`GET ${HEALTH_CHECK_PATH} HTTP/1.1\r\nHost: ${hostname}\r\n\r\n`);
+    });
+    expect(response).toMatch(/^HTTP\/1\.1 200/);
+
+    // The idle connection has to be closed right away instead of after
+    // the close timeout of the server
+    const stopped = platform.stop();
+    const closedInTime = await Promise.race([
+      closed,
+      new Promise((resolve) => setTimeout(() => resolve(false), 1000)),
+    ]);
+    expect(closedInTime).toBe(true);
+    await stopped;
+    await platform.start();
+  });
+  it('redirects unhandled subdomain requests once across restarts', async () => {
+    const countRedirects = () => go.stack.filter((layer) => {
+      return layer.route && layer.route.path === '*';
+    }).length;
+    const redirects = countRedirects();
+    await platform.stop();
+    await platform.start();
+    expect(countRedirects()).toBe(redirects);
+  });
+  // TODO: requires a production build of the pages
+  /*
   describe('serves valid AMP pages:', () => {
     [
       '/',
@@ -63,9 +197,58 @@ describe('Platform', () => {
       });
     });
   });
-  function fetch(path) {
-    return nodeFetch(config.hosts.platform.base + path);
-  }
   */
+  function fetch(path, options) {
+    return nodeFetch(config.hosts.platform.base + path, options);
+  }
+
+  /**
+   * Requests a page with the AMP-Cache-Transform header from the platform
+   * while Grow and the AMP packager are replaced by stand-ins. Grow serves
+   * AMP pages for all paths but /does-not-exist.amp.html, the packager
+   * signs all of them by default.
+   * @param  {String} path
+   * @param  {Object} handlers Optional request handlers of the stand-ins
+   * @return {Promise<Object>} The response and the URLs the packager got
+   */
+  async function fetchSigned(path, handlers = {}) {
+    const grow = http.createServer(handlers.page || ((request, response) => {
+      if (request.url.startsWith('/does-not-exist')) {
+        response.statusCode = 404;
+        response.end();
+        return;
+      }
+      response.setHeader('content-type', 'text/html');
+      response.end(`<html ⚡>${request.url}</html>`);
+    }));
+    const packagerRequests = [];
+    const packager = http.createServer((request, response) => {
+      packagerRequests.push(request.url);
+      if (handlers.packager) {
+        handlers.packager(request, response);
+        return;
+      }
+      response.setHeader('content-type', 'application/signed-exchange;v=b3');
+      response.end(request.url);
+    });
+    await new Promise((resolve) => grow.listen(0, resolve));
+    await new Promise((resolve) => packager.listen(PACKAGER_PORT, resolve));
+    const pagesBase = config.hosts.pages.base;
+    config.hosts.pages.base = `http://localhost:${grow.address().port}`;
+
+    try {
+      const response = await fetch(path, {
+        headers: {'amp-cache-transform': 'google'},
+      });
+      // Read the body while the stand-ins are still running
+      const body = await response.text();
+      response.text = () => Promise.resolve(body);
+      return {packagerRequests, response};
+    } finally {
+      config.hosts.pages.base = pagesBase;
+      await new Promise((resolve) => grow.close(resolve));
+      await new Promise((resolve) => packager.close(resolve));
+    }
+  }
 });
 
@@ -0,0 +1,163 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const nodeFetch = require('node-fetch');
+const {precompressor} = require('@lib/build/precompressor.js');
+const precompressed = require('@lib/middleware/precompressed.js');
+
+const HTML = `<!doctype html><html><body>${'<p>Precompressed</p>'.repeat(200)}</body></html>`;
+
+describe('Precompression', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'precompression-'));
+    spyOn(precompressor._log, 'success');
+    spyOn(precompressor._log, 'info');
+  });
+  afterEach(() => {
+    for (const file of fs.readdirSync(root)) {
+      fs.unlinkSync(path.join(root, file));
+    }
+    fs.rmdirSync(root);
+  });
+
+  describe('Precompressor', () => {
+    it('builds variants for compressible files worth compressing', async () => {
+      fs.writeFileSync(path.join(root, 'page.html'), HTML);
+      fs.writeFileSync(path.join(root, 'small.html'), '<p>Small</p>');
+      fs.writeFileSync(path.join(root, 'image.png'), HTML);
+
+      const stats = await precompressor.compress(root);
+      expect(stats.files).toBe(1);
+      expect(fs.readdirSync(root).sort())
+          .toEqual(['image.png', 'page.html', 'page.html.br', 'page.html.gz', 'small.html']);
+      expect(zlib.gunzipSync(fs.readFileSync(path.join(root, 'page.html.gz'))).toString())
+          .toBe(HTML);
+      expect(zlib.brotliDecompressSync(fs.readFileSync(path.join(root, 'page.html.br')))
+          .toString()).toBe(HTML);
+    });
+
+    it('removes the variants of a previous build', async () => {
+      fs.writeFileSync(path.join(root, 'removed.html.gz'), 'stale');
+      await precompressor.compress(root);
+      expect(fs.readdirSync(root)).toEqual([]);
+    });
+
+    it('fails if a file can not be compressed', async () => {
+      fs.writeFileSync(path.join(root, 'page.html'), HTML);
+      const failingPrecompressor = new precompressor.constructor({
+        'gzip': () => Promise.reject(new Error('Out of memory')),
+      });
+      spyOn(failingPrecompressor._log, 'warn');
+
+      let failure;
+      await failingPrecompressor.compress(root).catch((error) => {
+        failure = error;
+      });
+      expect(failure.message).toMatch(/Could not compress .*page\.html: Out of memory/);
+    });
+  });
+
+  describe('middleware', () => {
+    let server;
+
+    beforeEach((done) => {
+      fs.writeFileSync(path.join(root, 'page.html'), HTML);
+      server = express()
+          .use(precompressed(root))
+          .use((request, response) => response.status(404).send('Not precompressed'))
+          .listen(0, done);
+    });
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    function fetch(file, headers = {}) {
+      return nodeFetch(`http://localhost:${server.address().port}/${file}`, {
+        headers,
+        // Keep the encoded response to be able to compare it
+        'compress': false,
+      });
+    }
+
+    it('serves the most preferred accepted variant', async () => {
+      await precompressor.compress(root);
+      let response = await fetch('page.html', {'accept-encoding': 'br, gzip'});
+      expect(response.headers.get('content-encoding')).toBe('br');
+
+      response = await fetch('page.html', {'accept-encoding': 'gzip'});
+      expect(response.headers.get('content-encoding')).toBe('gzip');
+      expect(zlib.gunzipSync(await response.buffer()).toString()).toBe(HTML);
+      expect(response.headers.get('content-type')).toBe('text/html; charset=utf-8');
+      expect(response.headers.get('vary')).toBe('Accept-Encoding');
+    });
+
+    it('falls back to the next accepted variant that has been built', async () => {
+      await precompressor.compress(root);
+      fs.unlinkSync(path.join(root, 'page.html.br'));
+      const response = await fetch('page.html', {'accept-encoding': 'br, gzip'});
+      expect(response.headers.get('content-encoding')).toBe('gzip');
+    });
+
+    it('serves the file itself without matching variant', async () => {
+      const response = await fetch('page.html', {'accept-encoding': 'br, gzip'});
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-encoding')).toBeNull();
+      expect(await response.text()).toBe(HTML);
+    });
+
+    it('ignores variants older than the file', async () => {
+      await precompressor.compress(root);
+      const future = new Date(Date.now() + 60 * 1000);
+      fs.utimesSync(path.join(root, 'page.html'), future, future);
+      const response = await fetch('page.html', {'accept-encoding': 'br, gzip'});
+      expect(response.headers.get('content-encoding')).toBeNull();
+    });
+
+    it('sends a strong ETag per variant and answers conditional requests', async () => {
+      await precompressor.compress(root);
+      const gzipResponse = await fetch('page.html', {'accept-encoding': 'gzip'});
+      const etag = gzipResponse.headers.get('etag');
+      expect(etag).toMatch(/^"[^"]+"$/);
+
+      const identityResponse = await fetch('page.html', {'accept-encoding': 'identity'});
+      expect(identityResponse.headers.get('etag')).not.toBe(etag);
+
+      const response = await fetch('page.html', {
+        'accept-encoding': 'gzip',
+        'if-none-match': etag,
+      });
+      expect(response.status).toBe(304);
+      expect(await response.text()).toBe('');
+    });
+
+    it('passes on requests for files that do not exist or are not compressible', async () => {
+      fs.writeFileSync(path.join(root, 'image.png'), HTML);
+      for (const file of ['missing.html', 'image.png', '..%2F..%2Fetc%2Fpasswd.html']) {
+        const response = await fetch(file);
+        expect(await response.text()).toBe('Not precompressed');
+      }
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const {satisfies} = require('@lib/pipeline/preflight.js');
+
+describe('Preflight', () => {
+  describe('satisfies', () => {
+    it('matches x-ranges and partial versions', () => {
+      expect(satisfies('v10.15.3', '10.x')).toBe(true);
+      expect(satisfies('v10.15.3', '10.15.*')).toBe(true);
+      expect(satisfies('v10.15.3', '10')).toBe(true);
+      expect(satisfies('v11.0.0', '10.x')).toBe(false);
+      expect(satisfies('v1.10.0', '10.x')).toBe(false);
+    });
+
+    it('compares by each part numerically', () => {
+      expect(satisfies('0.10.0', '>=0.7.4')).toBe(true);
+      expect(satisfies('0.7.4', '>=0.7.4')).toBe(true);
+      expect(satisfies('0.7.3', '>=0.7.4')).toBe(false);
+      expect(satisfies('1.0.0', '>0.7.4')).toBe(true);
+      expect(satisfies('0.7.4', '>0.7.4')).toBe(false);
+      expect(satisfies('0.7.4', '<=0.7.4')).toBe(true);
+      expect(satisfies('0.7.4', '<0.7.4')).toBe(false);
+    });
+
+    it('matches exact versions', () => {
+      expect(satisfies('0.7.4', '0.7.4')).toBe(true);
+      expect(satisfies('0.7.4', '=v0.7.4')).toBe(true);
+      expect(satisfies('0.7.5', '0.7.4')).toBe(false);
+    });
+
+    it('requires all comparators of a range to match', () => {
+      expect(satisfies('0.9.0', '>=0.7.4 <1.0.0')).toBe(true);
+      expect(satisfies('1.0.0', '>=0.7.4 <1.0.0')).toBe(false);
+      expect(satisfies('0.7.0', ' >=0.7.4  <1.0.0 ')).toBe(false);
+    });
+
+    it('throws for ranges it does not support', () => {
+      expect(() => satisfies('1.2.3', '^1.0.0')).toThrowError('Unsupported version range ^1.0.0');
+      expect(() => satisfies('1.2.3', '~1.2.0')).toThrowError(/Unsupported/);
+      expect(() => satisfies('1.2.3', '1.x || 2.x')).toThrowError(/Unsupported/);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const nodeFetch = require('node-fetch');
+const config = require('@lib/config.js');
+const {rateLimit, MemoryStore} = require('@lib/middleware/rateLimiter.js');
+
+describe('Rate limiter', () => {
+  beforeEach(() => {
+    jasmine.clock().install();
+    jasmine.clock().mockDate(new Date(2019, 4, 1));
+  });
+  afterEach(() => {
+    jasmine.clock().uninstall();
+  });
+
+  describe('MemoryStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new MemoryStore();
+    });
+
+    /**
+     * Takes tokens from the bucket with 3 tokens refilled every 30 seconds
+     * @param  {Number} count
+     * @param  {String} key
+     * @return {Promise<Array>} The results
+     */
+    async function take(count, key = 'client') {
+      const results = [];
+      for (let i = 0; i < count; i++) {
+        results.push(await store.take(key, 3, 30));
+      }
+      return results;
+    }
+
+    it('allows a burst up to the limit', async () => {
+      const results = await take(4);
+      expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+      expect(results.map((result) => result.remaining)).toEqual([2, 1, 0, 0]);
+      // A token gets refilled every 10 seconds
+      expect(results[3].retryAfter).toBe(10);
+      expect(results[2].reset).toBe(30);
+    });
+
+    it('refills the bucket over time', async () => {
+      await take(3);
+      jasmine.clock().tick(9 * 1000);
+      expect((await take(1))[0].allowed).toBe(false);
+
+      jasmine.clock().tick(1000);
+      expect((await take(1))[0].allowed).toBe(true);
+      expect((await take(1))[0].allowed).toBe(false);
+    });
+
+    it('does not refill the bucket beyond the limit', async () => {
+      await take(1);
+      jasmine.clock().tick(60 * 60 * 1000);
+      const results = await take(4);
+      expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+    });
+
+    it('keeps a bucket per key', async () => {
+      await take(3, 'client');
+      expect((await take(1, 'other client'))[0].allowed).toBe(true);
+    });
+  });
+
+  describe('middleware', () => {
+    let server;
+
+    beforeAll((done) => {
+      config.shared.rateLimits.spec = {'limit': 2, 'interval': 60};
+      const app = express();
+      // The same setting as the platform's
+      app.set('trust proxy', 1);
+      app.get('/', rateLimit('spec', new MemoryStore()), (request, response) => {
+        response.send('OK');
+      });
+      server = app.listen(0, done);
+    });
+    afterAll((done) => {
+      delete config.shared.rateLimits.spec;
+      server.close(done);
+    });
+
+    function fetch(headers) {
+      return nodeFetch(`http://localhost:${server.address().port}/`, {headers});
+    }
+
+    it('rejects requests exceeding the budget', async () => {
+      const headers = {'x-forwarded-for': '192.0.2.1'};
+      let response = await fetch(headers);
+      expect(response.status).toBe(200);
+      expect(response.headers.get('ratelimit-limit')).toBe('2');
+      expect(response.headers.get('ratelimit-remaining')).toBe('1');
+
+      await fetch(headers);
+      response = await fetch(headers);
+      expect(response.status).toBe(429);
+      expect(response.headers.get('retry-after')).toBe('30');
+      expect((await response.json()).retryAfter).toBe(30);
+    });
+
+    it('limits clients sending their own X-Forwarded-For', async () => {
+      const responses = [];
+      for (const spoofed of ['198.51.100.1', '198.51.100.2', '198.51.100.3']) {
+        responses.push(await fetch({'x-forwarded-for': `${spoofed}, 192.0.2.2`}));
+      }
+      expect(responses.map((response) => response.status)).toEqual([200, 200, 429]);
+    });
+
+    it('throws for routes without budget', () => {
+      expect(() => rateLimit('unknown')).toThrowError(/No rate limit configured/);
+    });
+  });
+});
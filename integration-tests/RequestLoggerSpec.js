@@ -0,0 +1,94 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const nodeFetch = require('node-fetch');
+const {requestLogger, tagRouter} = require('@lib/middleware/requestLogger.js');
+
+describe('Request logger', () => {
+  let server;
+  let records;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(requestLogger);
+    // eslint-disable-next-line new-cap
+    app.use(tagRouter('first', express.Router().get('/first', (request, response) => {
+      response.send('first');
+    })));
+    // eslint-disable-next-line new-cap
+    app.use(tagRouter('second', express.Router().get('/second', (request, response) => {
+      response.send('second');
+    })));
+    app.use(tagRouter('failing', (request, response, next) => {
+      next(new Error('failed'));
+    }));
+    app.use((error, request, response, next) => { // eslint-disable-line no-unused-vars
+      response.status(500).send(error.message);
+    });
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+  });
+  afterAll((done) => {
+    server.close(done);
+  });
+  beforeEach(() => {
+    records = [];
+    const write = process.stdout.write;
+    spyOn(process.stdout, 'write').and.callFake((chunk, ...args) => {
+      if (String(chunk).startsWith('{"severity"')) {
+        records.push(JSON.parse(chunk));
+        return true;
+      }
+      return write.call(process.stdout, chunk, ...args);
+    });
+  });
+
+  /**
+   * Requests the path and waits for its record to be logged
+   * @param  {String} path
+   * @return {Promise<Object>} The response and the logged record
+   */
+  async function fetch(path) {
+    const response = await nodeFetch(`http://localhost:${server.address().port}${path}`);
+    await response.text();
+    while (!records.length) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    return {response, 'record': records[0]};
+  }
+
+  it('tags requests with the router that handled them', async () => {
+    const {response, record} = await fetch('/first');
+    expect(record.router).toBe('first');
+    expect(record.status).toBe(200);
+    expect(response.headers.get('server-timing')).toMatch(/;desc="first"$/);
+  });
+
+  it('does not tag requests with routers they fell through', async () => {
+    const {record} = await fetch('/second');
+    expect(record.router).toBe('second');
+  });
+
+  it('keeps the tag of routers failing to handle a request', async () => {
+    const {record} = await fetch('/third');
+    expect(record.router).toBe('failing');
+    expect(record.status).toBe(500);
+  });
+});
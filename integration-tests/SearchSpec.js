@@ -0,0 +1,146 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const del = require('del');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {tokenize, search} = require('@lib/common/search.js');
+const {searchIndexer} = require('@lib/build/searchIndexer.js');
+const {parseLimit} = require('@lib/routers/search.js');
+
+// The module exports the indexer writing to the dist directory
+const SearchIndexer = searchIndexer.constructor;
+
+const PAGES = {
+  'documentation/components/amp-img.html': '<title>amp-img</title>' +
+    '<body data-available-formats="websites stories email"><header>Navigation</header>' +
+    '<main><h1>amp-img</h1><h2>Responsive images</h2><p>Displays images.</p></main></body>',
+  'documentation/guides-and-tutorials/start.html': '<title>Getting started</title>' +
+    '<body data-available-formats="websites"><main><h1>Getting started</h1>' +
+    '<p>Add images, more images and even more images.</p></main></body>',
+  'fr/index.html': '<title>Accueil</title><body data-available-formats="websites">' +
+    '<main><p>Des images.</p></main></body>',
+  '404.html': '<title>Not found</title><body><main>images</main></body>',
+  'draft.html': '<meta name="robots" content="noindex"><title>Draft</title>' +
+    '<body><main>images</main></body>',
+};
+
+describe('Search', () => {
+  describe('tokenize', () => {
+    it('splits text into lowercase tokens without stop words and short ones', () => {
+      expect(tokenize('The component, 2 Images!')).toEqual(['component', 'images']);
+    });
+
+    it('keeps dashed words and their parts', () => {
+      expect(tokenize('amp-img and -amp-')).toEqual(['amp-img', 'amp', 'img', 'amp']);
+    });
+
+    it('keeps letters of all languages', () => {
+      expect(tokenize('Über Straße 東京')).toEqual(['über', 'straße', '東京']);
+    });
+
+    it('handles missing text', () => {
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe('indexing and searching', () => {
+    let root;
+    let index;
+
+    beforeAll(async () => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'search-'));
+      const pagesDir = path.join(root, 'pages');
+      for (const [file, html] of Object.entries(PAGES)) {
+        fs.mkdirSync(path.join(pagesDir, path.dirname(file)), {'recursive': true});
+        fs.writeFileSync(path.join(pagesDir, file), html);
+      }
+
+      const indexer = new SearchIndexer(path.join(root, 'search-index.json'));
+      spyOn(indexer._log, 'success');
+      index = await indexer.build(pagesDir);
+    });
+    afterAll(() => {
+      del.sync(root, {'force': true});
+    });
+
+    it('indexes canonical pages that may be indexed', () => {
+      expect(index.documents.map((document) => document.url).sort()).toEqual([
+        '/documentation/components/amp-img.html',
+        '/documentation/guides-and-tutorials/start.html',
+        '/fr/',
+      ]);
+      expect(JSON.parse(fs.readFileSync(path.join(root, 'search-index.json'), 'utf-8')))
+          .toEqual(index);
+    });
+
+    it('describes each document', () => {
+      const document = index.documents.find((document) => document.title === 'amp-img');
+      expect(document).toEqual({
+        'url': '/documentation/components/amp-img.html',
+        'title': 'amp-img',
+        'description': 'amp-img Responsive images Displays images.',
+        'formats': ['websites', 'stories', 'email'],
+        'locale': 'en',
+        'components': ['amp-img'],
+      });
+      expect(index.documents.find((document) => document.url === '/fr/').locale).toBe('fr');
+    });
+
+    it('leaves out navigation', () => {
+      expect(index.tokens['navigation']).toBeUndefined();
+    });
+
+    it('ranks matches in titles and headings above matches in the text', () => {
+      const results = search(index, 'images');
+      expect(results.map((result) => result.title)).toEqual(
+          ['amp-img', 'Getting started', 'Accueil']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it('requires all terms and matches the last one as prefix', () => {
+      expect(search(index, 'getting ima').map((result) => result.title))
+          .toEqual(['Getting started']);
+      expect(search(index, 'responsive started')).toEqual([]);
+      expect(search(index, 'the')).toEqual([]);
+    });
+
+    it('filters by format and locale', () => {
+      expect(search(index, 'images', {'format': 'email'}).map((result) => result.title))
+          .toEqual(['amp-img']);
+      expect(search(index, 'images', {'locale': 'fr'}).map((result) => result.title))
+          .toEqual(['Accueil']);
+    });
+
+    it('limits the results', () => {
+      expect(search(index, 'images', {'limit': 2}).length).toBe(2);
+    });
+  });
+
+  describe('parseLimit', () => {
+    it('clamps the limit', () => {
+      expect(parseLimit('5')).toBe(5);
+      expect(parseLimit('1000')).toBe(50);
+      expect(parseLimit('-5')).toBe(1);
+    });
+
+    it('falls back to the default limit', () => {
+      expect(parseLimit(undefined)).toBe(10);
+      expect(parseLimit('all')).toBe(10);
+    });
+  });
+});
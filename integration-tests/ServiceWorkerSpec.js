@@ -0,0 +1,156 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const del = require('del');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const {project} = require('@lib/utils');
+const {serviceWorkerGenerator} = require('@lib/build/serviceWorkerGenerator.js');
+
+// The module exports the generator writing to the platform's statics
+const ServiceWorkerGenerator = serviceWorkerGenerator.constructor;
+
+const SERVICE_WORKER_SRC = project.absolute('pages/static/serviceworker.js');
+
+/**
+ * Runs a service worker with stand-ins for the globals it uses
+ * @param  {String} source
+ * @param  {Array} cacheNames The caches the origin already has
+ * @return {Object}
+ */
+function runServiceWorker(source, cacheNames = []) {
+  const listeners = {};
+  const caches = new Set(cacheNames);
+  const sandbox = {
+    URL,
+    'self': {
+      'location': new URL('https://amp.dev/'),
+      'clients': {'claim': () => Promise.resolve()},
+      'addEventListener': (type, listener) => {
+        listeners[type] = listener;
+      },
+    },
+    'caches': {
+      'keys': () => Promise.resolve(Array.from(caches)),
+      'delete': (name) => Promise.resolve(caches.delete(name)),
+    },
+  };
+  vm.runInNewContext(`${source}\nself.constants = {VERSION, PRECACHE_MANIFEST, ` +
+    'PRECACHE, RUNTIME_CACHE};', sandbox);
+
+  return {
+    caches,
+    'constants': sandbox.self.constants,
+    'dispatch': async (type) => {
+      let promise;
+      listeners[type]({'waitUntil': (p) => promise = p});
+      await promise;
+    },
+  };
+}
+
+describe('Service worker', () => {
+  let source;
+
+  beforeAll(() => {
+    source = fs.readFileSync(SERVICE_WORKER_SRC, 'utf-8');
+  });
+
+  it('deletes all caches but the ones of its version on activation', async () => {
+    const {caches, constants, dispatch} = runServiceWorker(source);
+    caches.add(constants.PRECACHE);
+    caches.add(constants.RUNTIME_CACHE);
+    caches.add('amp-dev-precache-0123456789ab');
+    caches.add('amp-dev-runtime-0123456789ab');
+    caches.add('AMP-PUBLISHER-CACHE');
+    caches.add('AMP-ASSET-CACHE');
+
+    await dispatch('activate');
+    expect(Array.from(caches)).toEqual([constants.PRECACHE, constants.RUNTIME_CACHE]);
+  });
+
+  describe('generator', () => {
+    const pagesDest = project.paths.PAGES_DEST;
+    let root;
+    let generator;
+
+    function write(file, content) {
+      fs.mkdirSync(path.join(root, path.dirname(file)), {'recursive': true});
+      fs.writeFileSync(path.join(root, file), content);
+    }
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'serviceworker-'));
+      project.paths.PAGES_DEST = path.join(root, 'pages');
+      generator = new ServiceWorkerGenerator(path.join(root, 'serviceworker.js'),
+          path.join(root, 'static'));
+      spyOn(generator._log, 'success');
+      spyOn(generator._log, 'warn');
+
+      write('pages/offline.html', 'Offline');
+      write('pages/index.html', 'Home');
+      write('static/manifest.json', '{}');
+      write('static/img/favicon.png', 'favicon');
+      write('static/fonts/b.woff2', 'b');
+      write('static/fonts/a.woff2', 'a');
+      write('static/fonts/a.woff', 'a');
+    });
+    afterEach(() => {
+      project.paths.PAGES_DEST = pagesDest;
+      del.sync(root, {'force': true});
+    });
+
+    it('precaches the configured files that exist by their content hash', async () => {
+      const {manifest} = await generator.generate();
+      expect(manifest.map((entry) => entry.url)).toEqual([
+        '/offline.html',
+        '/manifest.json',
+        '/static/img/favicon.png',
+        '/static/fonts/a.woff2',
+        '/static/fonts/b.woff2',
+        '/',
+      ]);
+      expect(manifest[0].revision).toMatch(/^[0-9a-f]{12}$/);
+      expect(manifest[3].revision).not.toBe(manifest[4].revision);
+      expect(generator._log.warn).toHaveBeenCalledWith(
+          jasmine.stringMatching('Not precaching /static/img/icons/\\*.png'));
+    });
+
+    it('replaces the placeholders of the service worker', async () => {
+      const {version, manifest} = await generator.generate();
+      const {constants} = runServiceWorker(
+          fs.readFileSync(path.join(root, 'serviceworker.js'), 'utf-8'));
+      expect(constants.VERSION).toBe(version);
+      expect(constants.PRECACHE_MANIFEST).toEqual(manifest);
+      expect(constants.PRECACHE).toBe(`amp-dev-precache-${version}`);
+    });
+
+    it('only changes the version if a precached file does', async () => {
+      const {version} = await generator.generate();
+      expect((await generator.generate()).version).toBe(version);
+
+      write('pages/offline.html', 'Still offline');
+      expect((await generator.generate()).version).not.toBe(version);
+    });
+
+    it('fails if a placeholder is missing', () => {
+      expect(() => generator._replace('const OTHER = 1;', 'VERSION', 'abc'))
+          .toThrowError(/is missing the VERSION placeholder/);
+    });
+  });
+});
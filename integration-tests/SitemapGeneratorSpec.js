@@ -0,0 +1,135 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const del = require('del');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('@lib/config.js');
+const {sitemapGenerator} = require('@lib/build/sitemapGenerator.js');
+
+// The module exports the generator writing to the platform's statics
+const SitemapGenerator = sitemapGenerator.constructor;
+
+describe('SitemapGenerator', () => {
+  const base = config.hosts.platform.base;
+  let root;
+  let pagesDir;
+  let dest;
+  let generator;
+
+  function writePage(file, html) {
+    const pagePath = path.join(pagesDir, file);
+    fs.mkdirSync(path.dirname(pagePath), {'recursive': true});
+    fs.writeFileSync(pagePath, html);
+  }
+
+  function readSitemap(sitemap) {
+    return fs.readFileSync(path.join(dest, sitemap), 'utf-8');
+  }
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-'));
+    pagesDir = path.join(root, 'pages');
+    dest = path.join(root, 'sitemap');
+    generator = new SitemapGenerator(dest, path.join(root, 'sitemap.json'));
+    spyOn(generator._log, 'success');
+
+    writePage('index.html', `<link rel="alternate" hreflang="fr" href="${base}/fr/">` +
+      '<body>Home</body>');
+    writePage('fr/index.html', '<body>Accueil</body>');
+    writePage('documentation/guides-and-tutorials/start.html',
+        `<link rel="alternate" hreflang="pt_BR" href="${base}/pt_BR/start.html?a=1&b=2">` +
+        '<body>Start</body>');
+    writePage('documentation/guides-and-tutorials/start.amp.html', '<body>Start</body>');
+    writePage('documentation/guides-and-tutorials/start.stories.html', '<body>Start</body>');
+    writePage('about/who.html', `<link rel="canonical" href="${base}/about/who-we-are">` +
+      '<body>Who</body>');
+    writePage('404.html', '<body>Not found</body>');
+    writePage('draft.html', '<meta name="robots" content="noindex"><body>Draft</body>');
+  });
+  afterEach(() => {
+    del.sync(root, {'force': true});
+  });
+
+  it('writes one sitemap per section', async () => {
+    expect(await generator.generate(pagesDir)).toEqual({
+      'sitemap_pages.xml': 2,
+      'sitemap_documentation-guides-and-tutorials.xml': 2,
+      'sitemap_about.xml': 1,
+    });
+  });
+
+  it('lists canonical pages only', async () => {
+    await generator.generate(pagesDir);
+    const sitemaps = fs.readdirSync(dest).map(readSitemap).join('');
+    expect(sitemaps).not.toContain('404');
+    expect(sitemaps).not.toContain('draft');
+    expect(sitemaps).not.toContain('.amp.html');
+    expect(sitemaps).not.toContain('.stories.html');
+    expect(sitemaps).not.toContain('amphtml');
+  });
+
+  it('lists translations as hreflang alternates including the page itself', async () => {
+    await generator.generate(pagesDir);
+    const sitemap = readSitemap('sitemap_pages.xml');
+    expect(sitemap).toContain(`<loc>${base}/</loc>`);
+    expect(sitemap).toContain(`<xhtml:link rel="alternate" hreflang="fr" href="${base}/fr/"/>`);
+    expect(sitemap).toContain(`<xhtml:link rel="alternate" hreflang="en" href="${base}/"/>`);
+  });
+
+  it('prefers the canonical URL and escapes URLs', async () => {
+    await generator.generate(pagesDir);
+    expect(readSitemap('sitemap_about.xml')).toContain(`<loc>${base}/about/who-we-are</loc>`);
+    expect(readSitemap('sitemap_documentation-guides-and-tutorials.xml')).toContain(
+        `hreflang="pt-BR" href="${base}/pt_BR/start.html?a=1&amp;b=2"`);
+  });
+
+  it('lists format variants with the format parameter', async () => {
+    await generator.generate(pagesDir);
+    const sitemap = readSitemap('sitemap_documentation-guides-and-tutorials.xml');
+    expect(sitemap).toContain(
+        `<loc>${base}/documentation/guides-and-tutorials/start.html?format=stories</loc>`);
+    expect(sitemap).toContain(`href="${base}/pt_BR/start.html?a=1&amp;b=2&amp;format=stories"`);
+  });
+
+  it('only updates lastmod if the content changed', async () => {
+    const lastmod = (sitemap) => sitemap.match(/<lastmod>([^<]+)</)[1];
+    jasmine.clock().install();
+    try {
+      jasmine.clock().mockDate(new Date('2019-05-01T00:00:00Z'));
+      await generator.generate(pagesDir);
+      jasmine.clock().mockDate(new Date('2019-05-02T00:00:00Z'));
+      await generator.generate(pagesDir);
+      expect(lastmod(readSitemap('sitemap_about.xml'))).toBe('2019-05-01T00:00:00.000Z');
+
+      writePage('about/who.html', `<link rel="canonical" href="${base}/about/who-we-are">` +
+        '<body>Who we are</body>');
+      await generator.generate(pagesDir);
+      expect(lastmod(readSitemap('sitemap_about.xml'))).toBe('2019-05-02T00:00:00.000Z');
+    } finally {
+      jasmine.clock().uninstall();
+    }
+  });
+
+  it('references the generated and manual sitemaps from the index', async () => {
+    await generator.generate(pagesDir);
+    const index = readSitemap('sitemap.xml');
+    expect(index).toContain(`<loc>${base}/sitemap_about.xml</loc>`);
+    expect(index).toContain(`<loc>${base}/sitemap_manual.xml</loc>`);
+    expect(index).not.toContain(`<loc>${base}/sitemap.xml</loc>`);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const TaskRunner = require('@lib/pipeline/taskRunner.js');
+const {parseTaskList} = TaskRunner;
+
+describe('TaskRunner', () => {
+  let runner;
+  let events;
+
+  /**
+   * Creates a task that records when it starts and finishes
+   * @param  {String} name
+   * @param  {Error} error Optional error the task fails with
+   * @return {Function}
+   */
+  function task(name, error) {
+    return async () => {
+      events.push(`start ${name}`);
+      // Let other tasks that are ready start in the meantime
+      await new Promise((resolve) => setImmediate(resolve));
+      events.push(`end ${name}`);
+      if (error) {
+        throw error;
+      }
+    };
+  }
+
+  function statuses(results) {
+    const result = {};
+    for (const [name, {status}] of results) {
+      result[name] = status;
+    }
+    return result;
+  }
+
+  beforeEach(() => {
+    runner = new TaskRunner();
+    events = [];
+    spyOn(runner._log, 'info');
+    spyOn(runner._log, 'warn');
+    spyOn(runner._log, 'error');
+  });
+
+  describe('declaring tasks', () => {
+    it('requires dependencies to be declared before which rules out cycles', () => {
+      expect(() => runner.add('a', ['a'], task('a')))
+          .toThrowError('Task a depends on undeclared task a');
+      runner.add('a', [], task('a'));
+      expect(() => runner.add('b', ['a', 'c'], task('b')))
+          .toThrowError('Task b depends on undeclared task c');
+    });
+
+    it('rejects tasks declared twice', () => {
+      runner.add('a', [], task('a'));
+      expect(() => runner.add('a', [], task('a')))
+          .toThrowError('Task a has already been declared');
+    });
+  });
+
+  describe('running tasks', () => {
+    beforeEach(() => {
+      runner.add('clean', [], task('clean'))
+          .add('frontend', ['clean'], task('frontend'))
+          .add('statics', ['clean'], task('statics'))
+          .add('optimize', ['frontend', 'statics'], task('optimize'));
+    });
+
+    it('runs tasks once their dependencies are done and independent ones in parallel', async () => {
+      const results = await runner.run();
+      expect(events).toEqual([
+        'start clean', 'end clean',
+        'start frontend', 'start statics', 'end frontend', 'end statics',
+        'start optimize', 'end optimize',
+      ]);
+      expect(statuses(results)).toEqual({
+        'clean': 'done', 'frontend': 'done', 'statics': 'done', 'optimize': 'done',
+      });
+    });
+
+    it('only runs the selected tasks treating the others as done', async () => {
+      const results = await runner.run({'only': ['optimize']});
+      expect(events).toEqual(['start optimize', 'end optimize']);
+      expect(statuses(results)).toEqual({
+        'clean': 'skipped', 'frontend': 'skipped', 'statics': 'skipped', 'optimize': 'done',
+      });
+    });
+
+    it('runs the tasks depending on skipped ones', async () => {
+      const results = await runner.run({'skip': ['clean', 'statics']});
+      expect(events).toEqual(['start frontend', 'end frontend', 'start optimize', 'end optimize']);
+      expect(statuses(results).statics).toBe('skipped');
+    });
+
+    it('rejects unknown tasks in the selection', async () => {
+      await runner.run({'skip': ['deploy']}).then(fail, (error) => {
+        expect(error.message).toBe('Unknown task deploy, available are ' +
+          'clean, frontend, statics, optimize');
+      });
+      expect(events).toEqual([]);
+    });
+
+    it('logs a summary of all tasks', async () => {
+      await runner.run({'skip': ['clean']});
+      const summary = runner._log.info.calls.mostRecent().args[0].split('\n');
+      expect(summary[0]).toBe('Summary');
+      expect(summary[1]).toMatch(/^Task +Status +Duration$/);
+      expect(summary[2]).toMatch(/^clean +skipped$/);
+      expect(summary[5]).toMatch(/^optimize +done +\d+\.\ds$/);
+    });
+  });
+
+  describe('failing tasks', () => {
+    it('block the tasks depending on them while all others run', async () => {
+      runner.add('clean', [], task('clean'))
+          .add('frontend', ['clean'], task('frontend', new Error('Sass failed')))
+          .add('statics', ['clean'], task('statics'))
+          .add('optimize', ['frontend', 'statics'], task('optimize'))
+          .add('test', ['optimize'], task('test'));
+
+      await runner.run().then(fail, (error) => {
+        expect(error.message).toBe('frontend failed');
+      });
+
+      expect(events).toEqual([
+        'start clean', 'end clean',
+        'start frontend', 'start statics', 'end frontend', 'end statics',
+      ]);
+      const summary = runner._log.info.calls.mostRecent().args[0].split('\n');
+      expect(summary.slice(2)).toEqual([
+        jasmine.stringMatching(/^clean +done +\d+\.\ds$/),
+        jasmine.stringMatching(/^frontend +failed +\d+\.\ds +Sass failed$/),
+        jasmine.stringMatching(/^statics +done +\d+\.\ds$/),
+        jasmine.stringMatching(/^optimize +blocked +frontend did not finish$/),
+        jasmine.stringMatching(/^test +blocked +optimize did not finish$/),
+      ]);
+    });
+  });
+
+  describe('parseTaskList', () => {
+    it('accepts comma separated and repeated options', () => {
+      expect(parseTaskList('test, sitemap')).toEqual(['test', 'sitemap']);
+      expect(parseTaskList(['test', 'sitemap,searchIndex'])).toEqual(
+          ['test', 'sitemap', 'searchIndex']);
+    });
+
+    it('ignores missing and empty options', () => {
+      expect(parseTaskList(undefined)).toEqual([]);
+      expect(parseTaskList(true)).toEqual([]);
+      expect(parseTaskList('test,')).toEqual(['test']);
+    });
+  });
+});
@@ -17,6 +17,12 @@ const path = require('path');
 
 require('module-alias/register');
 
+// Have pages signed by the stand-in for the AMP packager started by the
+// platform spec, this has to happen before any spec loads the config
+process.env.AMP_DEV_HOST_PACKAGER_SCHEME = 'http';
+process.env.AMP_DEV_HOST_PACKAGER_HOST = 'localhost';
+process.env.AMP_DEV_HOST_PACKAGER_PORT = '8089';
+
 const jasmine = new Jasmine();
 // modify this line to point to your jasmine.json
 jasmine.loadConfigFile(path.join(__dirname, 'support/jasmine.json'));
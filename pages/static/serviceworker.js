@@ -1,11 +1,184 @@
-importScripts('https://cdn.ampproject.org/sw/amp-sw.js');
-AMP_SW.init({
-  assetCachingOptions: [{
-    regexp: /\.(png|jpg|woff2|woff|css|js)/,
-    cachingStrategy: 'CACHE_FIRST',
-  }],
-  offlinePageOptions: {
-    url: '/offline.html',
-    assets: [],
-  },
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env serviceworker */
+'use strict';
+
+// Both get replaced by the build with the precache manifest keyed by the
+// content hash of each file, see platform/lib/build/serviceWorkerGenerator.js
+const VERSION = 'development';
+const PRECACHE_MANIFEST = [{'url': '/offline.html', 'revision': null}];
+
+const CACHE_PREFIX = 'amp-dev-';
+const PRECACHE = `${CACHE_PREFIX}precache-${VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${VERSION}`;
+const RUNTIME_CACHE_MAX_ENTRIES = 100;
+const OFFLINE_PAGE = '/offline.html';
+
+// Documents that get cached once visited to be available offline
+const DOCUMENTS_PATTERN = /^\/([a-z]{2}(_[a-zA-Z]+)?\/)?documentation\//;
+// Sources of the examples that get embedded into the documentation
+const EXAMPLE_SOURCES_PATTERN = /^\/documentation\/examples\//;
+
+/**
+ * Returns the cache key for an entry of the precache manifest. Keying
+ * entries by their revision allows to reuse unchanged ones after an update.
+ * @param  {Object} entry
+ * @return {String}
+ */
+function getPrecacheKey(entry) {
+  return entry.revision ? `${entry.url}?__revision=${entry.revision}` : entry.url;
+}
+
+const PRECACHE_KEYS = new Map(PRECACHE_MANIFEST.map((entry) => {
+  return [entry.url, getPrecacheKey(entry)];
+}));
+
+/**
+ * Puts all entries of the precache manifest into the precache, entries
+ * that are still in the cache of a previous version don't get fetched again
+ * and redirected ones are skipped
+ * @return {Promise}
+ */
+async function precache() {
+  const cache = await caches.open(PRECACHE);
+  await Promise.all(PRECACHE_MANIFEST.map(async (entry) => {
+    const key = getPrecacheKey(entry);
+    let response = entry.revision ? await caches.match(key) : null;
+    if (!response) {
+      response = await fetch(entry.url, {'cache': 'reload'});
+      if (response.redirected) {
+        // Pages might get redirected to the visitor's locale. Browsers reject
+        // redirected responses for navigations, so leave them to the network.
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to precache ${entry.url}: ${response.status}`);
+      }
+    }
+    await cache.put(key, response);
+  }));
+}
+
+/**
+ * Deletes all caches but the ones of this version, which also covers the
+ * caches of previous versions and the ones left by the former amp-sw
+ * based service worker
+ * @return {Promise}
+ */
+async function deleteOutdatedCaches() {
+  const names = await caches.keys();
+  await Promise.all(names.filter((name) => {
+    return name !== PRECACHE && name !== RUNTIME_CACHE;
+  }).map((name) => caches.delete(name)));
+}
+
+/**
+ * Puts a response into the runtime cache and drops the oldest entries
+ * once it exceeds RUNTIME_CACHE_MAX_ENTRIES
+ * @param  {Request} request
+ * @param  {Response} response
+ * @return {Promise}
+ */
+async function putRuntime(request, response) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  await cache.put(request, response);
+
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - RUNTIME_CACHE_MAX_ENTRIES))
+      .map((key) => cache.delete(key)));
+}
+
+async function matchPrecache(url) {
+  const cache = await caches.open(PRECACHE);
+  return cache.match(PRECACHE_KEYS.get(url));
+}
+
+/**
+ * Pages are always requested from the network to not show outdated
+ * content. Documents get cached to be available offline, if there is no
+ * cached version the offline page is shown.
+ * @param  {FetchEvent} event
+ * @param  {URL} url
+ * @return {Promise<Response>}
+ */
+async function handleNavigation(event, url) {
+  try {
+    const response = await fetch(event.request);
+    if (response.ok && DOCUMENTS_PATTERN.test(url.pathname)) {
+      event.waitUntil(putRuntime(event.request, response.clone()));
+    }
+    return response;
+  } catch (error) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    return (await cache.match(event.request)) ||
+      (PRECACHE_KEYS.has(url.pathname) && await matchPrecache(url.pathname)) ||
+      matchPrecache(OFFLINE_PAGE);
+  }
+}
+
+/**
+ * Example sources are served from the cache while they get updated
+ * in the background
+ * @param  {FetchEvent} event
+ * @return {Promise<Response>}
+ */
+async function handleExampleSource(event) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(event.request);
+  const update = fetch(event.request).then((response) => {
+    if (response.ok) {
+      return putRuntime(event.request, response.clone()).then(() => response);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(deleteOutdatedCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (event.request.mode === 'navigate' && event.request.destination !== 'iframe') {
+    event.respondWith(handleNavigation(event, url));
+    return;
+  }
+
+  if (PRECACHE_KEYS.has(url.pathname) && !url.search) {
+    event.respondWith(matchPrecache(url.pathname)
+        .then((response) => response || fetch(event.request)));
+    return;
+  }
+
+  if (EXAMPLE_SOURCES_PATTERN.test(url.pathname)) {
+    event.respondWith(handleExampleSource(event));
+  }
 });
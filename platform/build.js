@@ -25,53 +25,55 @@ const signale = require('signale');
 const config = require('./lib/config');
 const Pipeline = require('./lib/pipeline');
 const Platform = require('./lib/platform');
+const TaskRunner = require('./lib/pipeline/taskRunner');
+const {parseTaskList} = TaskRunner;
 
 const pipeline = new Pipeline();
+const runner = new TaskRunner();
+
+runner.add('clean', [], () => pipeline.clean());
+runner.add('check', [], () => pipeline.check());
+runner.add('statics', ['clean', 'check'], () => pipeline.collectStatics());
+runner.add('frontend', ['clean', 'check'], () => pipeline.buildFrontend());
+
+// Before pages can be built all needed documents need to be imported:
+// - The reference docs for the various components
+// - Some documents that get maintained inside ampproject/amphtml
+const imports = [];
+if (config.options['import'] === true) {
+  runner.add('importReference', ['check'], () => pipeline.importReference());
+  runner.add('importSpec', ['check'], () => pipeline.importSpec());
+  runner.add('importRoadmap', ['check'], () => pipeline.importRoadmap());
+  imports.push('importReference', 'importSpec', 'importRoadmap');
+}
+
+// Create sample sources which get used while generating the pages
+runner.add('samples', ['frontend'], () => pipeline.buildSamples());
+
+// Generate pages does not statically build the pages for development
+// but instead starts the development server
+runner.add('grow', ['frontend', 'samples', ...imports], () => pipeline.generatePages());
+
+// In all other environments than development the build should be optimized
+// and tested to ensure it is working
+if (!config.isDevMode()) {
+  runner.add('optimize', ['grow', 'statics'], () => pipeline.optimizeBuild());
+  runner.add('sitemap', ['optimize'], () => pipeline.generateSitemap());
+  runner.add('serviceWorker', ['optimize'], () => pipeline.generateServiceWorker());
+  runner.add('searchIndex', ['optimize'], () => pipeline.buildSearchIndex());
+  runner.add('test', ['optimize'], () => pipeline.testBuild());
+  runner.add('precompress', ['sitemap', 'serviceWorker', 'searchIndex', 'test'],
+      () => pipeline.precompress());
+  runner.add('manifest', ['precompress'], () => pipeline.writeManifest());
+}
 
-pipeline.clean();
-
-// TODO(matthiasrohmer): Use task runner (like gulp.series/gulp.parallel) to
-// execute tasks to better handle flow
 (async () => {
   signale.time('Pipeline');
 
-  await pipeline.check();
-
-  // Collection of static files does not need to be waited for as it happens
-  // real quick and no other task depends on them
-  pipeline.collectStatics();
-
-  await pipeline.buildFrontend();
-
-  // Before pages can be built all needed documents need to be imported:
-  // - The reference docs for the various components
-  // - Some documents that get maintained inside ampproject/amphtml
-  if (config.options['import'] === true) {
-    const referenceImport = pipeline.importReference();
-    const specImport = pipeline.importSpec();
-    const roadmapImport = pipeline.importRoadmap();
-
-    try {
-      await Promise.all([referenceImport, specImport, roadmapImport]);
-    } catch (error) {
-      console.log(error);
-      process.exit(1);
-    }
-  }
-
-  // // Create sample sources which get used while generating the pages
-  await pipeline.buildSamples();
-
-  // Generate pages does not statically build the pages for development
-  // but instead starts the development server
-  await pipeline.generatePages();
-
-  // In all other environments than development the build should be optimized
-  // and tested to ensure it is working
-  if (!config.isDevMode()) {
-    await pipeline.optimizeBuild();
-    await pipeline.testBuild();
-  }
+  await runner.run({
+    'only': parseTaskList(config.options['only']),
+    'skip': parseTaskList(config.options['skip']),
+  });
 
   signale.timeEnd('Pipeline');
 })()
@@ -81,6 +83,7 @@ pipeline.clean();
         new Platform().start();
       }
     })
-    .catch(() => {
+    .catch((error) => {
+      signale.fatal(error.message);
       process.exit(1);
     });
@@ -0,0 +1,148 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {promisify} = require('util');
+const {Signale} = require('signale');
+const config = require('@lib/config');
+const {project} = require('@lib/utils');
+const {listPages, isCanonicalPage} = require('./builtPages.js');
+
+const writeFileAsync = promisify(fs.writeFile);
+
+// Where the manifest is written to and read from during startup
+const MANIFEST_PATH = project.absolute('dist/build-manifest.json');
+// Where the sources of the samples live
+const SAMPLES_SRC = project.absolute('examples/source');
+
+/**
+ * Recursively counts the files in dir that match the given test
+ * @param  {String} dir
+ * @param  {Function} test
+ * @return {Number}
+ */
+function countFiles(dir, test) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+
+  let count = 0;
+  for (const entry of fs.readdirSync(dir, {'withFileTypes': true})) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      count += countFiles(entryPath, test);
+    } else if (test(entry.name)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Counts the canonical pages in dir leaving out their AMP counterparts,
+ * format variants and error pages
+ * @param  {String} dir
+ * @return {Number}
+ */
+function countCanonicalPages(dir) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+
+  return listPages(dir).filter(isCanonicalPage).length;
+}
+
+/**
+ * Collects information about the build while the pipeline is running
+ * and writes it to a manifest that is read by the platform to tell
+ * which build is currently running
+ */
+class BuildManifest {
+  constructor() {
+    this._log = new Signale({
+      'interactive': false,
+      'scope': 'Build manifest',
+    });
+
+    this._info = {
+      'ampRuntimeVersion': null,
+      'ampReleaseTag': null,
+    };
+  }
+
+  /**
+   * Records a piece of information about the running build
+   * @param {String} key
+   * @param {*} value
+   */
+  set(key, value) {
+    this._info[key] = value;
+  }
+
+  /**
+   * Returns the current git commit or null if it can't be determined,
+   * for example when running outside of a git checkout
+   * @return {String|null}
+   */
+  _getCommit() {
+    try {
+      return require('./repo.js').version;
+    } catch (error) {
+      this._log.warn('Could not determine git commit', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Writes the manifest for the build that has just finished
+   * @return {Promise<Object>} The manifest
+   */
+  async write() {
+    const manifest = Object.assign({
+      'commit': this._getCommit(),
+      'builtAt': new Date().toISOString(),
+      'environment': config.environment,
+      'locales': config.locales,
+      'pages': countCanonicalPages(project.paths.PAGES_DEST),
+      'samples': countFiles(SAMPLES_SRC, (name) => name.endsWith('.html')),
+    }, this._info);
+
+    await writeFileAsync(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+    this._log.success(`Wrote build manifest for ${manifest.commit}.`);
+    return manifest;
+  }
+}
+
+/**
+ * Reads the manifest of the build the platform is serving
+ * @return {Object|null} The manifest or null if there is none
+ */
+function readBuildManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  buildManifest: new BuildManifest(),
+  readBuildManifest,
+  MANIFEST_PATH,
+};
@@ -0,0 +1,82 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {FORMATS} = require('@lib/common/filteredPage');
+
+// Pages that should never be indexed
+const EXCLUDED_PAGES = ['404.html', '4xx.html', '500.html', 'offline.html'];
+
+const VARIANT_PATTERN = new RegExp(`\\.(${FORMATS.join('|')})(\\.amp)?\\.html$`);
+
+/**
+ * Recursively lists the HTML files in dir relative to base
+ * @param  {String} dir
+ * @param  {String} base
+ * @return {Array}
+ */
+function listPages(dir, base = dir) {
+  let pages = [];
+  for (const entry of fs.readdirSync(dir, {'withFileTypes': true})) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      pages = pages.concat(listPages(entryPath, base));
+    } else if (entry.name.endsWith('.html')) {
+      pages.push(path.relative(base, entryPath).split(path.sep).join('/'));
+    }
+  }
+  return pages;
+}
+
+/**
+ * Checks if a built page is the canonical one and not its AMP counterpart,
+ * a format filtered variant or an error page
+ * @param  {String}  file The page's path relative to the pages directory
+ * @return {Boolean}
+ */
+function isCanonicalPage(file) {
+  return !file.endsWith('.amp.html') && !isFormatVariant(file) &&
+    !EXCLUDED_PAGES.includes(path.posix.basename(file));
+}
+
+/**
+ * Checks if a built page is a format filtered variant of another one,
+ * like index.stories.html or index.stories.amp.html
+ * @param  {String}  file
+ * @return {Boolean}
+ */
+function isFormatVariant(file) {
+  return VARIANT_PATTERN.test(file);
+}
+
+/**
+ * Checks if a page asks to not be indexed, like untranslated ones
+ * @param  {String}  html
+ * @return {Boolean}
+ */
+function isNoIndex(html) {
+  return /<meta [^>]*name="?robots"? [^>]*content="[^"]*noindex/.test(html);
+}
+
+module.exports = {
+  listPages,
+  isCanonicalPage,
+  isFormatVariant,
+  isNoIndex,
+};
@@ -24,15 +24,18 @@ const minifyHtml = require('html-minifier').minify;
 const through = require('through2');
 const CleanCSS = require('clean-css');
 const crypto = require('crypto');
+const {timers, Tick} = require('exectimer');
 const rcs = require('rcs-core');
-const t = require('exectimer');
-const Tick = t.Tick;
 const ampOptimizer = require('amp-toolbox-optimizer');
-const runtimeVersionPromise = require('amp-toolbox-runtime-version').currentVersion();
-const {filterPage, isFilterableRoute, FORMATS} = require('@lib/common/filteredPage');
+const runtimeVersion = require('amp-toolbox-runtime-version');
+const {filterPage, isFilterableRoute, serializePage, FORMATS} = require('@lib/common/filteredPage');
 const cheerio = require('cheerio');
 const fs = require('fs');
+const path = require('path');
+const {URL} = require('url');
 const {project} = require('@lib/utils');
+const {buildManifest} = require('@lib/build/buildManifest');
+const PageTransformerPool = require('./pageTransformerPool.js');
 
 const config = require('@lib/config');
 
@@ -65,19 +68,59 @@ const SELECTOR_REWRITE_SAFE = [
   'ap-t-what-is-amp',
 ];
 
+// Transformed pages are persisted by a hash of their input, the settings
+// and the AMP runtime version to skip unchanged pages on the next build
+const PAGE_CACHE_DEST = project.absolute('.cache/pages');
+// Changes to these invalidate the whole cache
+const CACHE_INVALIDATING_SOURCES = [__filename, require.resolve('@lib/common/filteredPage')];
+const CACHE_INVALIDATING_PACKAGES = ['amp-toolbox-optimizer', 'html-minifier', 'clean-css',
+  'rcs-core'];
+// Unused entries are kept for builds of only some pages until they are this old
+const PAGE_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+// Blurred placeholders get generated from the images below this path
+const IMAGE_BASE_PATH = project.absolute('pages');
+
 // Do not rewrite all example pages as users might need correct source code
 // for reference, ignore componets overview specifically as it relies on the
 // ap-m-teaser selector for filtering.
 const SELECTOR_REWRITE_EXCLUDED_PATHS =
   /\/documentation\/examples.*|\/documentation\/components\.html/;
 
+let currentRuntimeVersion = null;
+
+/**
+ * Fetches the current version of the AMP runtime once
+ * @return {Promise<String>}
+ */
+function fetchRuntimeVersion() {
+  if (!currentRuntimeVersion) {
+    currentRuntimeVersion = runtimeVersion.currentVersion();
+  }
+  return currentRuntimeVersion;
+}
+
 class PageTransformer {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {String} options.runtimeVersion The AMP runtime version to optimize
+   *   for, fetched on first use if not given
+   * @param {String} options.pageCacheDest Where transformed pages are cached
+   * @param {String} options.imageBasePath Where the images of the pages are
+   */
+  constructor({
+    runtimeVersion = null,
+    pageCacheDest = PAGE_CACHE_DEST,
+    imageBasePath = IMAGE_BASE_PATH,
+  } = {}) {
     this._log = new Signale({
       'interactive': false,
       'scope': 'Page minifier',
     });
 
+    this._runtimeVersion = runtimeVersion;
+    this._pageCacheDest = pageCacheDest;
+    this._imageBasePath = imageBasePath;
+
     // Set excludes for CSS selector rewriting
     rcs.selectorLibrary.setExclude(
         new RegExp('^(?!' + SELECTOR_REWRITE_SAFE.join('|') + ').*$')
@@ -98,73 +141,346 @@ class PageTransformer {
     ampOptimizer.setConfig({
       blurredPlaceholdersCacheSize: 0, // cache all placeholders
     });
+
+    // Can be turned off with --no-cache to transform all pages
+    this._cacheEnabled = config.options['cache'] !== false;
+    this._cacheStats = {'hits': 0, 'misses': 0};
+    // Entries of the page cache used by this build, all others are stale
+    this._usedCacheEntries = new Set();
+    // Hashes of the images referenced by pages by their path
+    this._imageHashes = new Map();
+    // Called with newly minified CSS bundles to share them between workers
+    this.onCssMinified = null;
   }
 
   /**
-   * Returns a Gulp stream that minifies all files that are put into it
+   * Returns a Gulp stream that minifies all files that are put into it.
+   * The pages get transformed by a pool of worker threads if available.
    * @param  {path} path Allows overwriting of default path
    * @return {Stream}
    */
   start(path) {
     // Ugly but needed to keep scope for .pipe
     const scope = this;
-    return gulp.src(`${path}/**/*`)
-        .pipe(through.obj(async function(canonicalPage, encoding, callback) {
-          // The following transformations should only be applied to Grow's
-          // HTML output, just forward all other files
-          if (canonicalPage.extname !== '.html') {
-            this.push(canonicalPage);
-            callback();
-            return;
-          }
-
-          let html = canonicalPage.contents.toString();
+    const pool = PageTransformerPool.create(this);
+    const concurrency = pool ? pool.size : 1;
+    const pending = new Set();
+    let failure;
+
+    const transform = through.obj(async function(canonicalPage, encoding, callback) {
+      // The following transformations should only be applied to Grow's
+      // HTML output, just forward all other files
+      if (canonicalPage.extname !== '.html') {
+        this.push(canonicalPage);
+        callback();
+        return;
+      }
 
-          let timer = new Tick('minifying');
-          timer.start();
-          html = scope.minifyPage(html, canonicalPage.path);
-          timer.stop();
+      const html = canonicalPage.contents.toString();
 
-          const ampPath = canonicalPage.path.replace('.html', '.amp.html');
-          const ampUrl = '/' + canonicalPage.relative.replace('.html', '.amp.html');
+      const cacheKey = await scope._getCacheKey(canonicalPage, html);
+      const cachedPages = scope._readCache(cacheKey, canonicalPage);
+      if (cachedPages) {
+        for (const page of cachedPages) {
+          this.push(page);
+        }
+        callback();
+        return;
+      }
 
-          timer = new Tick('optimizing');
-          timer.start();
-          const optimizedHtml = await scope.optimize(html, ampUrl);
-          timer.stop();
+      // Wait for a free worker before taking the next page
+      while (pending.size >= concurrency) {
+        await Promise.race(pending);
+      }
 
-          const ampPage = canonicalPage.clone();
-          ampPage.path = ampPath;
+      const page = {'path': canonicalPage.path, 'relative': canonicalPage.relative, html};
+      const transformation = (pool ? pool.transform(page) : scope.transformPage(page))
+          .then((result) => {
+            const pages = result.pages.map((transformedPage) => {
+              const file = canonicalPage.clone();
+              file.path = transformedPage.path;
+              file.contents = Buffer.from(transformedPage.html);
+              return file;
+            });
+            // Retry pages that couldn't be minified on the next build
+            if (result.cacheable) {
+              scope._writeCache(cacheKey, pages);
+            }
+            for (const file of pages) {
+              this.push(file);
+            }
+            scope._log.success(`Transformed ${canonicalPage.path}`);
+          })
+          .catch((error) => {
+            failure = failure || error;
+          })
+          .then(() => pending.delete(transformation));
+      pending.add(transformation);
+      callback();
+    }, async (callback) => {
+      await Promise.all(pending);
+      if (pool) {
+        await pool.terminate();
+      }
+      callback(failure);
+    });
 
-          canonicalPage.contents = Buffer.from(optimizedHtml);
-          ampPage.contents = Buffer.from(html);
+    const stream = gulp.src(`${path}/**/*`)
+        .pipe(transform)
+        .pipe(gulp.dest(project.paths.PAGES_DEST));
+    // A page failing to transform fails the whole stream
+    transform.on('error', (error) => stream.emit('error', error));
+    return stream;
+  }
 
-          let filteredPages = [];
-          if (isFilterableRoute(canonicalPage.path)) {
-            timer = new Tick('filtering');
-            timer.start();
-            filteredPages = scope._filterPages(canonicalPage, ampPage);
-            timer.stop();
-          }
+  /**
+   * Transforms a page of Grow's output to the optimized canonical page, the
+   * minified AMP page and their format filtered variants
+   * @param  {Object} page The page's path, its path relative to the pages and its html
+   * @param  {Function} rewriteSelectors Allows the worker threads to have the
+   *   selectors rewritten by the main thread
+   * @return {Promise<Object>} The transformed pages by their path and html and
+   *   whether they can be cached
+   */
+  async transformPage(page, rewriteSelectors = this.rewriteSelectors.bind(this)) {
+    let timer = new Tick('minifying');
+    timer.start();
+    const minified = this._minifyMarkup(page.html, page.path);
+    const html = await rewriteSelectors(minified.html, page.path);
+    timer.stop();
+
+    const ampPath = page.path.replace('.html', '.amp.html');
+    const ampUrl = '/' + page.relative.replace('.html', '.amp.html');
+
+    timer = new Tick('optimizing');
+    timer.start();
+    const optimizedHtml = await this.optimize(html, ampUrl);
+    timer.stop();
+
+    const canonicalPage = {'path': page.path, 'html': optimizedHtml};
+    const ampPage = {'path': ampPath, html};
+
+    let filteredPages = [];
+    if (isFilterableRoute(page.path)) {
+      timer = new Tick('filtering');
+      timer.start();
+      filteredPages = this._filterPages(canonicalPage, ampPage);
+      timer.stop();
+    }
 
-          for (const page of [canonicalPage, ampPage, ...filteredPages]) {
-            this.push(page);
-          }
+    return {
+      'pages': [canonicalPage, ampPage, ...filteredPages],
+      'cacheable': minified.succeeded,
+    };
+  }
 
-          scope._log.success(`Transformed ${canonicalPage.path}`);
-          callback();
-        }))
-        .pipe(gulp.dest(project.paths.PAGES_DEST));
+  /**
+   * Returns the AMP runtime version the pages get optimized for
+   * @return {Promise<String>}
+   */
+  async getRuntimeVersion() {
+    if (!this._runtimeVersion) {
+      this._runtimeVersion = await fetchRuntimeVersion();
+    }
+    return this._runtimeVersion;
   }
 
   done() {
-    ['minifying', 'optimizing', 'filtering'].forEach((key) => {
-      const results = t.timers[key];
-      if (!results) {
+    ['minifying', 'optimizing', 'filtering', 'rewritingSelectors'].forEach((key) => {
+      const results = timers[key];
+      if (!results || !results.ticks.length) {
         return;
       }
       this._log.info(`[PAGE_TRANSFORMER] ${key} mean time: ${results.parse(results.mean())}`);
     });
+    // Selectors of the pages transformed by workers are rewritten one after
+    // another on the main thread, which limits how much the workers speed up
+    const rewriting = timers['rewritingSelectors'];
+    if (rewriting && rewriting.ticks.length) {
+      this._log.info('[PAGE_TRANSFORMER] rewritingSelectors total time on the main thread: ' +
+        rewriting.parse(rewriting.duration()));
+    }
+
+    const {hits, misses} = this._cacheStats;
+    const hitRate = hits + misses ? Math.round(hits / (hits + misses) * 100) : 0;
+    this._log.info(`[PAGE_TRANSFORMER] cache hits: ${hits}, misses: ${misses} ` +
+      `(${hitRate}% hit rate${this._cacheEnabled ? '' : ', disabled by --no-cache'})`);
+    this._pruneCache();
+    this._imageHashes.clear();
+  }
+
+  /**
+   * Returns the durations of the ticks recorded since the last call as
+   * hrtime tuples, used to pass them from the worker threads to the main
+   * thread as each thread has its own timers
+   * @return {Object}
+   */
+  takeTimings() {
+    const timings = {};
+    for (const [key, results] of Object.entries(timers)) {
+      timings[key] = results.ticks.splice(0).filter((tick) => tick.hrend).map((tick) => tick.hrend);
+    }
+    return timings;
+  }
+
+  mergeTimings(timings) {
+    for (const [key, durations] of Object.entries(timings)) {
+      for (const duration of durations) {
+        // Record the worker's tick as if it was measured by this thread
+        const tick = new Tick(key);
+        tick.start();
+        tick.hrend = duration;
+      }
+    }
+  }
+
+  /**
+   * Hashes everything the transformed pages depend on: The page, its path
+   * as it determines the transformations, the manually filtered variants
+   * next to it, the images it references, the transformer's settings and
+   * the AMP runtime version
+   * @param  {Vinyl} page
+   * @param  {String} html
+   * @return {Promise<String>}
+   */
+  async _getCacheKey(page, html) {
+    if (!this._settingsHash) {
+      const settings = crypto.createHash('sha1');
+      settings.update(JSON.stringify({
+        'environment': config.environment,
+        'platform': config.hosts.platform.base,
+        'packages': CACHE_INVALIDATING_PACKAGES.map((name) => {
+          return `${name}@${require(`${name}/package.json`).version}`;
+        }),
+      }));
+      for (const source of CACHE_INVALIDATING_SOURCES) {
+        settings.update(fs.readFileSync(source));
+      }
+      this._settingsHash = settings.digest('hex');
+    }
+
+    const ampRuntimeVersion = await this.getRuntimeVersion();
+    buildManifest.set('ampRuntimeVersion', ampRuntimeVersion);
+
+    const manuallyFiltered = isFilterableRoute(page.path) ?
+      FORMATS.filter((format) => this._hasManualFiltered(page, format)) : [];
+    return crypto.createHash('sha1')
+        .update(this._settingsHash)
+        .update(ampRuntimeVersion)
+        .update(page.relative)
+        .update(manuallyFiltered.join(','))
+        .update(this._hashImages(html))
+        .update(html)
+        .digest('hex');
+  }
+
+  /**
+   * Hashes the local images the optimizer might generate blurred
+   * placeholders from as they get inlined into the transformed pages
+   * @param  {String} html
+   * @return {String}
+   */
+  _hashImages(html) {
+    const hash = crypto.createHash('sha1');
+    const pattern = /<amp-img\b[^>]*?\ssrc="([^"]*)"|<amp-video\b[^>]*?\sposter="([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(html))) {
+      const imagePath = this._resolveImage(match[1] || match[2]);
+      if (!imagePath) {
+        continue;
+      }
+
+      if (!this._imageHashes.has(imagePath)) {
+        let imageHash = '';
+        try {
+          imageHash = crypto.createHash('sha1').update(fs.readFileSync(imagePath)).digest('hex');
+        } catch (error) {
+          // Images that don't exist don't get a placeholder either
+        }
+        this._imageHashes.set(imagePath, imageHash);
+      }
+      hash.update(imagePath).update(this._imageHashes.get(imagePath));
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Resolves an image's source to a file the same way the optimizer does
+   * @param  {String} src
+   * @return {String|null} The image's path or null for remote images
+   */
+  _resolveImage(src) {
+    try {
+      new URL(src);
+      return null;
+    } catch (error) {
+      // Not an absolute URL, so it's a local image
+    }
+
+    try {
+      return path.join(this._imageBasePath, new URL(src, 'https://example.com').pathname.substring(1));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Restores the transformed pages for a page from the cache
+   * @param  {String} key
+   * @param  {Vinyl} page The untransformed page
+   * @return {Array|undefined} The transformed pages if cached
+   */
+  _readCache(key, page) {
+    this._usedCacheEntries.add(key);
+    if (this._cacheEnabled) {
+      try {
+        const entryPath = path.join(this._pageCacheDest, `${key}.json`);
+        const entry = JSON.parse(fs.readFileSync(entryPath));
+        // Keeps the entry from being pruned
+        const now = new Date();
+        fs.utimesSync(entryPath, now, now);
+        this._cacheStats.hits++;
+        return entry.map((file) => {
+          const cachedPage = page.clone();
+          cachedPage.path = path.join(page.base, file.relative);
+          cachedPage.contents = Buffer.from(file.contents);
+          return cachedPage;
+        });
+      } catch (error) {
+        // Not cached yet
+      }
+    }
+    this._cacheStats.misses++;
+  }
+
+  _writeCache(key, pages) {
+    fs.mkdirSync(this._pageCacheDest, {'recursive': true});
+    const entry = pages.map((page) => {
+      return {'relative': page.relative, 'contents': page.contents.toString()};
+    });
+    fs.writeFileSync(path.join(this._pageCacheDest, `${key}.json`), JSON.stringify(entry));
+  }
+
+  /**
+   * Removes the cache entries that haven't been used by this build and
+   * neither by any other for PAGE_CACHE_MAX_AGE. Entries used by a
+   * build are touched, so builds of only some pages keep the others.
+   * @return {undefined}
+   */
+  _pruneCache() {
+    if (!fs.existsSync(this._pageCacheDest)) {
+      return;
+    }
+    const expired = Date.now() - PAGE_CACHE_MAX_AGE;
+    for (const file of fs.readdirSync(this._pageCacheDest)) {
+      if (this._usedCacheEntries.has(path.basename(file, '.json'))) {
+        continue;
+      }
+      const entryPath = path.join(this._pageCacheDest, file);
+      if (fs.statSync(entryPath).mtimeMs < expired) {
+        fs.unlinkSync(entryPath);
+      }
+    }
   }
 
   /**
@@ -207,17 +523,16 @@ class PageTransformer {
   /**
    * Filters the given pages by the formats defined in data-available-formats
    *
-   * @param  {Array} ...pages
+   * @param  {Array} ...pages The pages by their path and html
    * @return {Array}
    */
   _filterPages(...pages) {
     const filteredPages = [];
     for (const page of pages) {
-      const html = page.contents.toString();
+      const html = page.html;
       const manualFormat = this._isManuallyFiltered(page);
       if (manualFormat) {
-        const filteredHtml = this.filterHtml(html, manualFormat, true);
-        page.contents = Buffer.from(filteredHtml);
+        page.html = this.filterHtml(html, manualFormat, true);
         continue;
       }
 
@@ -228,14 +543,15 @@ class PageTransformer {
 
         const filteredHtml = this.filterHtml(html, format);
         if (filteredHtml) {
-          const filteredPage = page.clone();
-          filteredPage.contents = Buffer.from(filteredHtml);
+          const filteredPage = {'path': page.path, 'html': filteredHtml};
 
           // As websites is the default those files can be overwritten and
           // don't need an extra name
           if (format !== 'websites') {
-            const suffix = filteredPage.basename.endsWith('.amp.html') ? '.amp.html' : '.html';
-            filteredPage.basename = filteredPage.basename.replace(suffix, `.${format}${suffix}`);
+            const basename = path.basename(page.path);
+            const suffix = basename.endsWith('.amp.html') ? '.amp.html' : '.html';
+            filteredPage.path = path.join(path.dirname(page.path),
+                basename.replace(suffix, `.${format}${suffix}`));
           }
 
           filteredPages.push(filteredPage);
@@ -256,25 +572,16 @@ class PageTransformer {
       return;
     }
 
-    let filteredHtml = dom.html();
-
-    // As cheerio has problems with XML syntax in HTML documents the
-    // markup for the icons needs to be restored
-    filteredHtml = filteredHtml.replace(
-        'xmlns="http://www.w3.org/2000/svg" xlink="http://www.w3.org/1999/xlink"',
-        'xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"');
-    filteredHtml = filteredHtml.replace(
-        /xlink="http:\/\/www\.w3\.org\/1999\/xlink" href=/gm,
-        'xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href=');
-    return filteredHtml;
+    return serializePage(dom);
   }
 
   async optimize(html, path) {
-    const ampRuntimeVersion = await runtimeVersionPromise;
+    const ampRuntimeVersion = await this.getRuntimeVersion();
+    buildManifest.set('ampRuntimeVersion', ampRuntimeVersion);
     return ampOptimizer.transformHtml(html, {
       ampUrl: path,
       ampRuntimeVersion: ampRuntimeVersion,
-      imageBasePath: 'pages',
+      imageBasePath: this._imageBasePath,
       blurredPlaceholders: true,
       maxBlurredPlaceholders: 7, // number of images in homepage stage
     });
@@ -287,15 +594,37 @@ class PageTransformer {
    * @return {String} The minified or the unmodified markup in case of error
    */
   minifyPage(html, path) {
+    return this.rewriteSelectors(this._minifyMarkup(html, path).html, path);
+  }
+
+  /**
+   * @param  {String} html
+   * @param  {String} path
+   * @return {Object} The minified or the unmodified markup in case of error
+   *   and whether minifying succeeded
+   */
+  _minifyMarkup(html, path) {
     html = this._cleanHtml(html);
 
     try {
-      html = this._minifyHtml(html);
+      return {'html': this._minifyHtml(html), 'succeeded': true};
     } catch (e) {
       this._log.error(`Could not minify ${path}`);
       // TODO(matthiasrohmer): Reenable console.error(e) somehow for development
     }
 
+    return {html, 'succeeded': false};
+  }
+
+  /**
+   * Rewrites the selectors of a page unless it's excluded. This always
+   * happens on the main thread as the selector library has to be the
+   * same for all pages.
+   * @param  {String} html
+   * @param  {String} path
+   * @return {String}
+   */
+  rewriteSelectors(html, path) {
     if (!path.match(SELECTOR_REWRITE_EXCLUDED_PATHS)) {
       try {
         html = this._rewriteSelectors(html);
@@ -378,6 +707,9 @@ class PageTransformer {
       this._log.info(`Caching CSS bundle with ${hash}`);
 
       this._minifiedCssCache[hash] = this._cleanCss.minify(css).styles;
+      if (this.onCssMinified) {
+        this.onCssMinified(hash, this._minifiedCssCache[hash]);
+      }
     }
 
     return this._minifiedCssCache[hash];
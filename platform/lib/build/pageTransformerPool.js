@@ -0,0 +1,245 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const os = require('os');
+const {Tick} = require('exectimer');
+
+let workerThreads;
+try {
+  workerThreads = require('worker_threads');
+} catch (e) {
+  // Node 10 only provides worker threads with --experimental-worker
+}
+
+/**
+ * Distributes the transformation of pages across worker threads. Each
+ * worker runs its own PageTransformer while the main thread's one keeps
+ * the state that has to be the same for all pages: Selectors get rewritten
+ * by the main thread and newly minified CSS is shared with all workers.
+ *
+ * Rewriting selectors is serialized on the main thread which bounds what
+ * the workers can gain. The time spent on it is recorded as
+ * rewritingSelectors and reported along with the other steps by
+ * PageTransformer#done to compare it to the total time of a build.
+ */
+class PageTransformerPool {
+  /**
+   * Creates a pool sized to the number of CPUs if worker threads are
+   * available and there is more than one CPU to make use of
+   * @param  {PageTransformer} transformer The main thread's transformer
+   * @return {PageTransformerPool|null}
+   */
+  static create(transformer) {
+    const size = os.cpus().length;
+    if (!workerThreads || size < 2) {
+      return null;
+    }
+    return new PageTransformerPool(size, transformer);
+  }
+
+  constructor(size, transformer) {
+    this.size = size;
+    this._transformer = transformer;
+    this._workers = new Set();
+    this._idleWorkers = [];
+    this._queue = [];
+    // The task each busy worker is working on
+    this._tasks = new Map();
+    this._terminating = false;
+    // Set once all workers exited without a task to replace them for
+    this._failure = null;
+    // Resolves once the workers have been spawned
+    this._started = null;
+  }
+
+  /**
+   * Transforms a page on the next free worker
+   * @param  {Object} page See PageTransformer#transformPage
+   * @return {Promise<Object>}
+   */
+  async transform(page) {
+    await this._start();
+    return new Promise((resolve, reject) => {
+      if (this._failure) {
+        reject(this._failure);
+        return;
+      }
+      this._queue.push({page, resolve, reject});
+      this._next();
+    });
+  }
+
+  /**
+   * Spawns the workers once the AMP runtime version is known, it's passed
+   * to them to not have each worker fetch it again
+   * @return {Promise}
+   */
+  _start() {
+    if (!this._started) {
+      this._started = this._transformer.getRuntimeVersion().then((runtimeVersion) => {
+        this._runtimeVersion = runtimeVersion;
+        for (let i = 0; i < this.size; i++) {
+          this._spawn();
+        }
+      });
+    }
+    return this._started;
+  }
+
+  /**
+   * Stops all workers
+   * @return {Promise}
+   */
+  terminate() {
+    this._terminating = true;
+    return Promise.all([...this._workers].map((worker) => worker.terminate()));
+  }
+
+  _spawn() {
+    const worker = new workerThreads.Worker(__filename, {
+      'argv': process.argv.slice(2),
+      'workerData': {
+        'minifiedCssCache': this._transformer._minifiedCssCache,
+        'runtimeVersion': this._runtimeVersion,
+      },
+    });
+
+    let crash;
+    worker.on('message', (message) => this._handleMessage(worker, message));
+    worker.on('error', (error) => {
+      crash = error;
+    });
+    worker.on('exit', (code) => {
+      this._workers.delete(worker);
+      this._idleWorkers = this._idleWorkers.filter((idleWorker) => idleWorker !== worker);
+      if (this._terminating) {
+        return;
+      }
+
+      // Fail the page the worker was working on and replace it
+      const task = this._tasks.get(worker);
+      this._tasks.delete(worker);
+      if (task) {
+        task.reject(crash || new Error(`Worker transforming ${task.page.path} exited: ${code}`));
+        this._spawn();
+      } else if (!this._workers.size) {
+        this._failure = crash || new Error(`All workers exited, the last one with ${code}`);
+        this._queue.splice(0).forEach((queuedTask) => queuedTask.reject(this._failure));
+      }
+    });
+
+    this._workers.add(worker);
+    this._idleWorkers.push(worker);
+    this._next();
+  }
+
+  _next() {
+    while (this._idleWorkers.length && this._queue.length) {
+      const worker = this._idleWorkers.shift();
+      const task = this._queue.shift();
+      this._tasks.set(worker, task);
+      worker.postMessage({'type': 'transform', 'page': task.page});
+    }
+  }
+
+  _handleMessage(worker, message) {
+    switch (message.type) {
+      case 'rewriteSelectors': {
+        const timer = new Tick('rewritingSelectors');
+        timer.start();
+        const html = this._transformer.rewriteSelectors(message.html, message.path);
+        timer.stop();
+        worker.postMessage({'type': 'selectorsRewritten', html});
+        return;
+      }
+      case 'cssMinified':
+        this._transformer._minifiedCssCache[message.hash] = message.styles;
+        for (const otherWorker of this._workers) {
+          if (otherWorker !== worker) {
+            otherWorker.postMessage(message);
+          }
+        }
+        return;
+      case 'transformed':
+      case 'failed':
+        this._finish(worker, message);
+        return;
+    }
+  }
+
+  _finish(worker, message) {
+    const task = this._tasks.get(worker);
+    this._tasks.delete(worker);
+    this._idleWorkers.push(worker);
+
+    if (message.type === 'transformed') {
+      this._transformer.mergeTimings(message.timings);
+      task.resolve(message.transformation);
+    } else {
+      task.reject(new Error(`Could not transform ${task.page.path}: ${message.error}`));
+    }
+    this._next();
+  }
+}
+
+module.exports = PageTransformerPool;
+
+if (workerThreads && !workerThreads.isMainThread) {
+  const {parentPort, workerData} = workerThreads;
+  const {pageTransformer} = require('./pageTransformer.js');
+
+  // Use the runtime version resolved by the main thread instead of fetching it
+  pageTransformer._runtimeVersion = workerData.runtimeVersion;
+  // Start with and keep in sync with the CSS minified by all other workers
+  Object.assign(pageTransformer._minifiedCssCache, workerData.minifiedCssCache);
+  pageTransformer.onCssMinified = (hash, styles) => {
+    parentPort.postMessage({'type': 'cssMinified', hash, styles});
+  };
+
+  let selectorsRewritten;
+  const rewriteSelectors = (html, path) => {
+    return new Promise((resolve) => {
+      selectorsRewritten = resolve;
+      parentPort.postMessage({'type': 'rewriteSelectors', html, path});
+    });
+  };
+
+  parentPort.on('message', async (message) => {
+    switch (message.type) {
+      case 'selectorsRewritten':
+        selectorsRewritten(message.html);
+        return;
+      case 'cssMinified':
+        pageTransformer._minifiedCssCache[message.hash] = message.styles;
+        return;
+      case 'transform':
+        try {
+          const transformation =
+            await pageTransformer.transformPage(message.page, rewriteSelectors);
+          parentPort.postMessage({
+            'type': 'transformed',
+            transformation,
+            'timings': pageTransformer.takeTimings(),
+          });
+        } catch (error) {
+          parentPort.postMessage({'type': 'failed', 'error': error.stack || error.message});
+        }
+        return;
+    }
+  });
+}
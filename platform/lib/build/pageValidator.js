@@ -0,0 +1,226 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+require('module-alias/register');
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const amphtmlValidator = require('amphtml-validator');
+const {promisify} = require('util');
+const {Signale} = require('signale');
+const {project} = require('@lib/utils');
+const {escapeXml} = require('@lib/utils/escape.js');
+const {listPages, isFormatVariant} = require('./builtPages.js');
+
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+
+const ALLOWLIST_PATH = project.absolute('platform/config/validation-allowlist.yaml');
+const REPORTS_DEST = project.absolute('dist');
+const JSON_REPORT = 'validation-report.json';
+const JUNIT_REPORT = 'validation-report.xml';
+
+/**
+ * Determines the validator's html format by the attributes of the
+ * <html> element, like ⚡4email
+ * @param  {String} html
+ * @return {String} AMP, AMP4ADS or AMP4EMAIL
+ */
+function getHtmlFormat(html) {
+  const [htmlTag] = html.match(/<html[^>]*>/i) || [''];
+  if (/\s(⚡|amp)4email[\s=>]/i.test(htmlTag)) {
+    return 'AMP4EMAIL';
+  }
+  if (/\s(⚡|amp)4ads[\s=>]/i.test(htmlTag)) {
+    return 'AMP4ADS';
+  }
+  return 'AMP';
+}
+
+/**
+ * Checks if a built page gets validated, which are the AMP pages and the
+ * format filtered variants of the canonical ones
+ * @param  {String}  file
+ * @return {Boolean}
+ */
+function isValidatedPage(file) {
+  return file.endsWith('.amp.html') || isFormatVariant(file);
+}
+
+/**
+ * Validates the AMP pages of a build, including their format filtered
+ * variants, and writes a JSON and a JUnit report. Errors listed in the
+ * allowlist are reported but don't make the validation fail.
+ */
+class PageValidator {
+  constructor(reportsDest = REPORTS_DEST, allowlistPath = ALLOWLIST_PATH) {
+    this._log = new Signale({
+      'interactive': false,
+      'scope': 'Page validator',
+    });
+    this._jsonReportPath = path.join(reportsDest, JSON_REPORT);
+    this._junitReportPath = path.join(reportsDest, JUNIT_REPORT);
+    this._allowlistPath = allowlistPath;
+  }
+
+  /**
+   * Validates all AMP pages in pagesDir
+   * @param  {String} pagesDir
+   * @return {Promise<Object>} The report
+   */
+  async validate(pagesDir = project.paths.PAGES_DEST) {
+    const validator = await amphtmlValidator.getInstance();
+    const allowlist = this._loadAllowlist();
+    const report = {
+      'validatedAt': new Date().toISOString(),
+      'pages': [],
+      'summary': {'pages': 0, 'failed': 0, 'errors': 0, 'allowedErrors': 0},
+    };
+
+    for (const page of listPages(pagesDir).filter(isValidatedPage)) {
+      const html = await readFileAsync(path.join(pagesDir, page), 'utf-8');
+      const format = getHtmlFormat(html);
+      const start = process.hrtime();
+      const result = validator.validateString(html, format);
+      const elapsed = process.hrtime(start);
+
+      const errors = result.errors.filter((error) => error.severity === 'ERROR')
+          .map((error) => ({
+            'line': error.line,
+            'col': error.col,
+            'code': error.code,
+            'message': error.message,
+            'specUrl': error.specUrl || null,
+            'allowed': allowlist.some((entry) => {
+              return entry.page.test(page) && (!entry.code || entry.code === error.code);
+            }),
+          }));
+      const failed = errors.some((error) => !error.allowed);
+
+      report.pages.push({
+        page,
+        format,
+        'status': failed ? 'FAIL' : 'PASS',
+        'time': elapsed[0] + elapsed[1] / 1e9,
+        errors,
+      });
+      report.summary.pages++;
+      report.summary.failed += failed ? 1 : 0;
+      report.summary.errors += errors.filter((error) => !error.allowed).length;
+      report.summary.allowedErrors += errors.filter((error) => error.allowed).length;
+    }
+
+    await writeFileAsync(this._jsonReportPath, JSON.stringify(report, null, 2));
+    await writeFileAsync(this._junitReportPath, this._renderJUnit(report));
+    this._logSummary(report);
+    return report;
+  }
+
+  /**
+   * Reads the allowlist of known errors, see validation-allowlist.yaml
+   * @return {Array}
+   */
+  _loadAllowlist() {
+    const entries = yaml.safeLoad(fs.readFileSync(this._allowlistPath, 'utf-8')) || [];
+    return entries.map((entry) => ({
+      'page': new RegExp(entry.page),
+      'code': entry.code,
+    }));
+  }
+
+  _logSummary(report) {
+    for (const page of report.pages.filter((page) => page.status === 'FAIL')) {
+      this._log.error(`${page.page} (${page.format}):\n` + page.errors
+          .filter((error) => !error.allowed)
+          .map((error) => `  ${error.line}:${error.col} ${error.code} ${error.message}`)
+          .join('\n'));
+    }
+
+    const {pages, failed, errors, allowedErrors} = report.summary;
+    const message = `Validated ${pages} pages, ${failed} failed with ${errors} errors ` +
+      `(${allowedErrors} allowed errors). Reports written to ${this._jsonReportPath} and ` +
+      `${this._junitReportPath}.`;
+    if (failed) {
+      this._log.error(message);
+    } else {
+      this._log.success(message);
+    }
+  }
+
+  /**
+   * Renders the report as JUnit XML with one test suite per format
+   * @param  {Object} report
+   * @return {String}
+   */
+  _renderJUnit(report) {
+    const formats = {};
+    for (const page of report.pages) {
+      (formats[page.format] = formats[page.format] || []).push(page);
+    }
+
+    const suites = Object.entries(formats).map(([format, pages]) => {
+      const testcases = pages.map((page) => {
+        const attributes = `classname="${format}" name="${escapeXml(page.page)}" ` +
+          `time="${page.time.toFixed(3)}"`;
+        if (page.status === 'PASS') {
+          return `    <testcase ${attributes}/>`;
+        }
+        const errors = page.errors.filter((error) => !error.allowed);
+        const details = errors.map((error) => {
+          return `${error.line}:${error.col} ${error.code} ${error.message}`;
+        }).join('\n');
+        return [
+          `    <testcase ${attributes}>`,
+          `      <failure message="${errors.length} validation errors" type="${format}">` +
+            `${escapeXml(details)}</failure>`,
+          '    </testcase>',
+        ].join('\n');
+      });
+      const failures = pages.filter((page) => page.status === 'FAIL').length;
+      return [
+        `  <testsuite name="${format}" tests="${pages.length}" failures="${failures}">`,
+        ...testcases,
+        '  </testsuite>',
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="AMP validation" tests="${report.summary.pages}" ` +
+        `failures="${report.summary.failed}">`,
+      ...suites,
+      '</testsuites>',
+      '',
+    ].join('\n');
+  }
+}
+
+if (!module.parent) {
+  new PageValidator().validate().then((report) => {
+    process.exit(report.summary.failed ? 1 : 0);
+  }).catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  pageValidator: new PageValidator(),
+};
@@ -0,0 +1,173 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-disable no-invalid-this */
+'use strict';
+require('module-alias/register');
+
+const {Signale} = require('signale');
+const gulp = require('gulp');
+const through = require('through2');
+const del = require('del');
+const zlib = require('zlib');
+const {promisify} = require('util');
+const {COMPRESSIBLE_EXTENSIONS, ENCODINGS} = require('@lib/common/precompression');
+
+// Files smaller than this are not worth the additional request overhead
+const MIN_SIZE = 1024;
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Returns a function compressing with brotli. It's only part of zlib from
+ * Node 11.7 on, older versions use iltorb instead.
+ * @return {Function|null}
+ */
+function createBrotliCompressor() {
+  if (zlib.brotliCompress) {
+    const brotliCompress = promisify(zlib.brotliCompress);
+    return (contents) => brotliCompress(contents, {
+      'params': {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: contents.length,
+      },
+    });
+  }
+
+  try {
+    const iltorb = require('iltorb');
+    return (contents) => iltorb.compress(contents, {
+      'quality': 11,
+      'size_hint': contents.length,
+    });
+  } catch (error) {
+    // iltorb couldn't be built for this platform
+    return null;
+  }
+}
+
+const COMPRESSORS = {
+  'br': createBrotliCompressor(),
+  'gzip': (contents) => gzip(contents, {'level': zlib.constants.Z_BEST_COMPRESSION}),
+};
+
+class Precompressor {
+  /**
+   * @param {Object} compressors The compressor by encoding name
+   */
+  constructor(compressors = COMPRESSORS) {
+    this._log = new Signale({
+      'interactive': false,
+      'scope': 'Precompressor',
+    });
+    this._compressors = compressors;
+
+    if (!this._compressors.br) {
+      this._log.warn('Brotli is not available, only gzip variants are built.');
+    }
+  }
+
+  /**
+   * Writes a .br and .gz variant next to each compressible file in path
+   * which then get served by the platform based on Accept-Encoding
+   * @param  {String} path
+   * @return {Promise}
+   */
+  async compress(path) {
+    // Variants of a previous build might not match the current files anymore
+    await del(ENCODINGS.map((encoding) => `${path}/**/*${encoding.extension}`), {'force': true});
+
+    const stats = {'files': 0, 'bytes': 0};
+    ENCODINGS.forEach((encoding) => stats[encoding.name] = 0);
+
+    const compressors = this._compressors;
+    const extensions = COMPRESSIBLE_EXTENSIONS.map((extension) => extension.substr(1));
+    const transform = through.obj(async function(file, encoding, callback) {
+      if (file.contents.length < MIN_SIZE) {
+        callback();
+        return;
+      }
+
+      try {
+        stats.files++;
+        stats.bytes += file.contents.length;
+        for (const contentEncoding of ENCODINGS) {
+          const compress = compressors[contentEncoding.name];
+          if (!compress) {
+            continue;
+          }
+
+          const contents = await compress(file.contents);
+          // Only keep variants that actually save something
+          if (contents.length >= file.contents.length) {
+            continue;
+          }
+
+          const variant = file.clone({'contents': false});
+          variant.path = file.path + contentEncoding.extension;
+          variant.contents = contents;
+          // Mark the variant as built after the file, older ones get ignored
+          variant.stat.mtime = new Date();
+          stats[contentEncoding.name] += contents.length;
+          this.push(variant);
+        }
+      } catch (error) {
+        callback(new Error(`Could not compress ${file.path}: ${error.message}`));
+        return;
+      }
+      callback();
+    });
+    const stream = gulp.src(`${path}/**/*.{${extensions.join(',')}}`)
+        .pipe(transform)
+        .pipe(gulp.dest(path));
+
+    return new Promise((resolve, reject) => {
+      // A file failing to compress fails the whole stream
+      transform.on('error', reject);
+      stream.on('error', reject);
+      stream.on('end', () => {
+        this._log.success(`Precompressed ${stats.files} files in ${path}.`);
+        this._logStats(stats);
+        resolve(stats);
+      });
+    });
+  }
+
+  _logStats(stats) {
+    if (!stats.bytes) {
+      return;
+    }
+
+    for (const encoding of ENCODINGS) {
+      if (stats[encoding.name]) {
+        const ratio = (stats[encoding.name] / stats.bytes * 100).toFixed(1);
+        const bytes = stats[encoding.name];
+        this._log.info(`${encoding.name}: ${stats.bytes} → ${bytes} bytes (${ratio}%)`);
+      }
+    }
+  }
+}
+
+if (!module.parent) {
+  (async () => {
+    const precompressor = new Precompressor();
+    await precompressor.compress(__dirname + '/../../../dist/pages');
+  })();
+}
+
+module.exports = {
+  precompressor: new Precompressor(),
+};
@@ -0,0 +1,197 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('module-alias/register');
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const {promisify} = require('util');
+const {Signale} = require('signale');
+const config = require('@lib/config');
+const {project} = require('@lib/utils');
+const {FORMATS} = require('@lib/common/filteredPage');
+const {tokenize} = require('@lib/common/search');
+const {listPages, isCanonicalPage, isNoIndex} = require('./builtPages.js');
+
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+
+// Where the index is written to and read from by the search router
+const SEARCH_INDEX_DEST = project.absolute('dist/search-index.json');
+
+// How much a match in each of the fields counts
+const FIELD_WEIGHTS = {
+  'title': 10,
+  'components': 8,
+  'headings': 4,
+  'text': 1,
+};
+// Caps the score of terms occurring very often in the text of a page
+const MAX_TEXT_SCORE = 5;
+const DESCRIPTION_LENGTH = 200;
+
+// Elements not containing content worth indexing
+const IGNORED_ELEMENTS = 'script, style, svg, nav, header, footer, amp-sidebar, template';
+// Elements whose text is separated from the following one, as there might
+// be no whitespace in between them in minified pages
+const BLOCK_ELEMENTS = 'h1, h2, h3, h4, h5, h6, p, li, dt, dd, td, th, pre, blockquote, div';
+// Components get found by their tag name in headings and titles
+const COMPONENT_PATTERN = /\bamp-[a-z0-9-]+/g;
+
+/**
+ * Indexes the built pages into a compact inverted index that is used by
+ * the platform's /search endpoint. Each token maps to the documents it
+ * occurs in along with a score depending on where it occurred.
+ */
+class SearchIndexer {
+  constructor(dest = SEARCH_INDEX_DEST) {
+    this._log = new Signale({
+      'interactive': false,
+      'scope': 'Search indexer',
+    });
+    this._dest = dest;
+  }
+
+  /**
+   * Indexes all pages in pagesDir and writes the index
+   * @param  {String} pagesDir
+   * @return {Promise<Object>} The index
+   */
+  async build(pagesDir = project.paths.PAGES_DEST) {
+    const index = {
+      'builtAt': new Date().toISOString(),
+      'documents': [],
+      'tokens': {},
+    };
+
+    for (const file of listPages(pagesDir)) {
+      if (!isCanonicalPage(file)) {
+        continue;
+      }
+
+      const html = await readFileAsync(path.join(pagesDir, file), 'utf-8');
+      if (isNoIndex(html)) {
+        continue;
+      }
+
+      const page = this._parsePage(file, html);
+      const documentId = index.documents.length;
+      index.documents.push(page.document);
+      for (const [token, score] of this._scoreTokens(page)) {
+        (index.tokens[token] = index.tokens[token] || []).push([documentId, score]);
+      }
+    }
+
+    await writeFileAsync(this._dest, JSON.stringify(index));
+    this._log.success(`Indexed ${index.documents.length} pages with ` +
+      `${Object.keys(index.tokens).length} tokens to ${this._dest}.`);
+    return index;
+  }
+
+  /**
+   * Extracts the searchable fields from a page
+   * @param  {String} file The page's path relative to the pages directory
+   * @param  {String} html
+   * @return {Object}
+   */
+  _parsePage(file, html) {
+    const dom = cheerio.load(html);
+    const title = dom('title').text().trim() || dom('h1').first().text().trim();
+    const availableFormats = (dom('body').attr('data-available-formats') || '').split(/\s+/);
+
+    dom(IGNORED_ELEMENTS).remove();
+    dom(BLOCK_ELEMENTS).append(' ');
+    let content = dom('main, .ap--content').first();
+    if (!content.length) {
+      content = dom('body');
+    }
+
+    const headings = content.find('h1, h2, h3').map((i, heading) => {
+      return dom(heading).text().trim();
+    }).get();
+    const text = content.text().replace(/\s+/g, ' ').trim();
+
+    const components = new Set((title + ' ' + headings.join(' ')).match(COMPONENT_PATTERN));
+    const [, component] = file.match(/documentation\/components\/(amp-[a-z0-9-]+)\.html$/) || [];
+    if (component) {
+      components.add(component);
+    }
+
+    const description = dom('meta[name="description"]').attr('content') ||
+      text.substring(0, DESCRIPTION_LENGTH);
+
+    return {
+      'document': {
+        'url': this._toPath(file),
+        title,
+        'description': description.trim(),
+        'formats': FORMATS.filter((format) => availableFormats.includes(format)),
+        'locale': this._getLocale(file),
+        'components': Array.from(components),
+      },
+      'fields': {
+        title,
+        'components': Array.from(components).join(' '),
+        'headings': headings.join(' '),
+        text,
+      },
+    };
+  }
+
+  /**
+   * Sums up the score of each token over all fields of the page
+   * @param  {Object} page As returned by _parsePage()
+   * @return {Map}
+   */
+  _scoreTokens(page) {
+    const scores = new Map();
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const counts = new Map();
+      for (const token of tokenize(page.fields[field])) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+      }
+      for (const [token, count] of counts) {
+        const score = field === 'text' ? weight * Math.min(count, MAX_TEXT_SCORE) : weight;
+        scores.set(token, (scores.get(token) || 0) + score);
+      }
+    }
+    return scores;
+  }
+
+  _toPath(file) {
+    return '/' + file.replace(/(^|\/)index\.html$/, '$1');
+  }
+
+  _getLocale(file) {
+    const [firstSegment] = file.split('/');
+    return config.locales.includes(firstSegment) ? firstSegment : config.defaultLocale;
+  }
+}
+
+if (!module.parent) {
+  new SearchIndexer().build().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  searchIndexer: new SearchIndexer(),
+  SEARCH_INDEX_DEST,
+};
@@ -0,0 +1,147 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+require('module-alias/register');
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {promisify} = require('util');
+const {Signale} = require('signale');
+const config = require('@lib/config');
+const {project} = require('@lib/utils');
+
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+
+// The service worker source which also gets served as is in development
+const SERVICE_WORKER_SRC = project.absolute('pages/static/serviceworker.js');
+const SERVICE_WORKER_DEST = project.absolute('platform/static/serviceworker.js');
+const STATIC_DEST = project.absolute('platform/static');
+
+
+/**
+ * Generates the service worker for a build. Its precache manifest lists
+ * the offline page, icons, fonts and top documents configured in
+ * shared.json along with a hash of their content, the version of the
+ * service worker is derived from it so it only changes if they do.
+ */
+class ServiceWorkerGenerator {
+  constructor(dest = SERVICE_WORKER_DEST, staticDest = STATIC_DEST) {
+    this._log = new Signale({
+      'interactive': false,
+      'scope': 'Service worker',
+    });
+    this._dest = dest;
+    this._staticDest = staticDest;
+  }
+
+  /**
+   * Writes the service worker with the precache manifest for the current build
+   * @return {Promise<Object>} The version and the precache manifest
+   */
+  async generate() {
+    const manifest = [];
+    for (const url of this._expandUrls(config.shared.serviceWorker.precache)) {
+      const file = this._toFile(url);
+      if (!fs.existsSync(file)) {
+        this._log.warn(`Not precaching ${url} as ${file} does not exist.`);
+        continue;
+      }
+      manifest.push({url, 'revision': this._hash(fs.readFileSync(file))});
+    }
+
+    const version = this._hash(JSON.stringify(manifest));
+    let serviceWorker = await readFileAsync(SERVICE_WORKER_SRC, 'utf-8');
+    serviceWorker = this._replace(serviceWorker, 'VERSION', version);
+    serviceWorker = this._replace(serviceWorker, 'PRECACHE_MANIFEST', manifest);
+    await writeFileAsync(this._dest, serviceWorker);
+
+    this._log.success(`Wrote service worker ${version} precaching ` +
+      `${manifest.length} files to ${this._dest}.`);
+    return {version, manifest};
+  }
+
+  /**
+   * Expands URLs of statics with a wildcard in their file name to the
+   * matching files, like /static/fonts/*.woff2
+   * @param  {Array} urls
+   * @return {Array}
+   */
+  _expandUrls(urls) {
+    return urls.reduce((expanded, url) => {
+      if (!url.includes('*')) {
+        return expanded.concat(url);
+      }
+
+      const directory = path.posix.dirname(url);
+      const pattern = new RegExp('^' + path.posix.basename(url)
+          .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+          .replace(/\*/g, '.*') + '$');
+      let files = [];
+      try {
+        files = fs.readdirSync(this._toStaticFile(directory));
+      } catch (error) {
+        this._log.warn(`Not precaching ${url} as ${directory} does not exist.`);
+      }
+      return expanded.concat(files.filter((file) => pattern.test(file)).sort()
+          .map((file) => `${directory}/${file}`));
+    }, []);
+  }
+
+  /**
+   * Maps a URL to the built file that is served for it
+   * @param  {String} url
+   * @return {String}
+   */
+  _toFile(url) {
+    if (url.endsWith('/') || url.endsWith('.html')) {
+      return project.pagePath(project.ensureFileExtension(url));
+    }
+    return this._toStaticFile(url);
+  }
+
+  _toStaticFile(url) {
+    return path.join(this._staticDest, url.replace(/^\/static(\/|$)/, '/'));
+  }
+
+  _hash(content) {
+    return crypto.createHash('sha1').update(content).digest('hex').substring(0, 12);
+  }
+
+  _replace(serviceWorker, name, value) {
+    const placeholder = new RegExp(`^const ${name} = .*;$`, 'm');
+    if (!placeholder.test(serviceWorker)) {
+      throw new Error(`${SERVICE_WORKER_SRC} is missing the ${name} placeholder`);
+    }
+    return serviceWorker.replace(placeholder,
+        () => `const ${name} = ${JSON.stringify(value)};`);
+  }
+}
+
+if (!module.parent) {
+  new ServiceWorkerGenerator().generate().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  serviceWorkerGenerator: new ServiceWorkerGenerator(),
+};
@@ -0,0 +1,282 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('module-alias/register');
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {promisify} = require('util');
+const {Signale} = require('signale');
+const config = require('@lib/config');
+const {project} = require('@lib/utils');
+const {escapeXml} = require('@lib/utils/escape.js');
+const {FORMATS, isFilterableRoute} = require('@lib/common/filteredPage');
+const {listPages, isCanonicalPage, isNoIndex} = require('./builtPages.js');
+
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+
+// Where the sitemaps get written to, served from the root in production
+const SITEMAP_DEST = project.absolute('platform/static/sitemap');
+// Manually maintained sitemaps that get referenced from the index
+const MANUAL_SITEMAPS_SRC = project.absolute('pages/static/sitemap');
+// Remembers a hash of each page's content to determine its lastmod
+const CACHE_DEST = project.absolute('.cache/sitemap.json');
+// Sections that are split up by their second level directory
+const NESTED_SECTIONS = ['documentation'];
+
+const SITEMAP_NAMESPACES = 'xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+  'xmlns:xhtml="http://www.w3.org/1999/xhtml"';
+
+/**
+ * Returns the attributes of all <link> elements in html
+ * @param  {String} html
+ * @return {Array}
+ */
+function parseLinks(html) {
+  const links = [];
+  const linkPattern = /<link\s[^>]*>/gi;
+  const attributePattern = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let link;
+  while ((link = linkPattern.exec(html))) {
+    const attributes = {};
+    let attribute;
+    while ((attribute = attributePattern.exec(link[0]))) {
+      attributes[attribute[1].toLowerCase()] = attribute[2] || attribute[3] || attribute[4];
+    }
+    links.push(attributes);
+  }
+  return links;
+}
+
+/**
+ * Generates a sitemap index with one sitemap per section of the site from
+ * the built pages. Each URL lists its translations as hreflang alternates,
+ * format filtered variants are listed as URLs with the format parameter.
+ * AMP counterparts are left out as sitemaps have no way to reference them,
+ * crawlers find them by the amphtml link of the canonical page.
+ */
+class SitemapGenerator {
+  constructor(dest = SITEMAP_DEST, cachePath = CACHE_DEST) {
+    this._log = new Signale({
+      'interactive': false,
+      'scope': 'Sitemap',
+    });
+    this._dest = dest;
+    this._cachePath = cachePath;
+  }
+
+  /**
+   * Writes the sitemaps for all pages in pagesDir
+   * @param  {String} pagesDir
+   * @return {Promise<Object>} The number of URLs by sitemap
+   */
+  async generate(pagesDir = project.paths.PAGES_DEST) {
+    const cache = this._readCache();
+    const now = new Date().toISOString();
+    const files = new Set(listPages(pagesDir));
+    const sections = {};
+
+    for (const file of files) {
+      if (!isCanonicalPage(file)) {
+        continue;
+      }
+
+      const html = await readFileAsync(path.join(pagesDir, file), 'utf-8');
+      if (isNoIndex(html)) {
+        continue;
+      }
+
+      const entry = this._createEntry(file, html, files);
+      const hash = this._hashContent(html);
+      if (!cache[entry.loc] || cache[entry.loc].hash !== hash) {
+        cache[entry.loc] = {hash, 'lastmod': now};
+      }
+      entry.lastmod = cache[entry.loc].lastmod;
+
+      const section = this._getSection(file);
+      sections[section] = (sections[section] || []).concat(entry, this._createVariants(entry));
+    }
+
+    const result = {};
+    fs.mkdirSync(this._dest, {'recursive': true});
+    for (const [section, entries] of Object.entries(sections)) {
+      const sitemap = `sitemap_${section}.xml`;
+      await writeFileAsync(path.join(this._dest, sitemap), this._renderUrlset(entries));
+      result[sitemap] = entries.length;
+    }
+    await this._writeIndex(Object.keys(result));
+    await writeFileAsync(this._cachePath, JSON.stringify(cache));
+
+    this._log.success(`Wrote ${Object.keys(result).length} sitemaps to ${this._dest}.`);
+    return result;
+  }
+
+  /**
+   * Builds the sitemap entry for a canonical page
+   * @param  {String} file  The page's path relative to the pages directory
+   * @param  {String} html
+   * @param  {Set} files    All built pages
+   * @return {Object}
+   */
+  _createEntry(file, html, files) {
+    const links = parseLinks(html);
+    const canonical = links.find((link) => link.rel === 'canonical');
+    const loc = canonical && canonical.href ? canonical.href : this._toUrl(file);
+
+    const alternates = links.filter((link) => link.rel === 'alternate' && link.hreflang)
+        .map((link) => ({'hreflang': link.hreflang.replace('_', '-'), 'href': link.href}));
+    // Sitemaps expect each URL to also reference itself
+    if (alternates.length) {
+      alternates.push({'hreflang': this._getLocale(file).replace('_', '-'), 'href': loc});
+    }
+
+    const variants = FORMATS.filter((format) => {
+      return files.has(file.replace(/\.html$/, `.${format}.html`));
+    });
+
+    return {loc, alternates, variants};
+  }
+
+  /**
+   * Lists the format filtered variants of an entry as URLs using the
+   * format parameter, which is how they are requested
+   * @param  {Object} entry
+   * @return {Array}
+   */
+  _createVariants(entry) {
+    if (!isFilterableRoute(new URL(entry.loc).pathname)) {
+      return [];
+    }
+
+    const withFormat = (url, format) => {
+      url = new URL(url);
+      url.searchParams.set('format', format);
+      return url.toString();
+    };
+    return entry.variants.map((format) => ({
+      'loc': withFormat(entry.loc, format),
+      'lastmod': entry.lastmod,
+      'alternates': entry.alternates.map((alternate) => ({
+        'hreflang': alternate.hreflang,
+        'href': withFormat(alternate.href, format),
+      })),
+    }));
+  }
+
+  _toUrl(file) {
+    const urlPath = file === 'index.html' ? '' : file.replace(/(^|\/)index\.html$/, '$1');
+    return `${config.hosts.platform.base}/${urlPath}`;
+  }
+
+  _getLocale(file) {
+    const [firstSegment] = file.split('/');
+    return config.locales.includes(firstSegment) ? firstSegment : config.defaultLocale;
+  }
+
+  /**
+   * Determines the sitemap a page belongs to by its first level directory,
+   * translations are put into the same sitemap as the original
+   * @param  {String} file
+   * @return {String}
+   */
+  _getSection(file) {
+    const segments = file.split('/');
+    if (config.locales.includes(segments[0])) {
+      segments.shift();
+    }
+    // Files on the top level go into the pages sitemap
+    if (segments.length == 1) {
+      return 'pages';
+    }
+    if (NESTED_SECTIONS.includes(segments[0]) && segments.length > 2) {
+      return `${segments[0]}-${segments[1]}`;
+    }
+    return segments[0];
+  }
+
+  /**
+   * Hashes the content of the page that changes with its contents and not
+   * with the build, like the inlined AMP runtime version in the <head>
+   * @param  {String} html
+   * @return {String}
+   */
+  _hashContent(html) {
+    const body = html.substring(html.search(/<body[\s>]/i));
+    return crypto.createHash('sha1').update(body).digest('hex');
+  }
+
+  _readCache() {
+    try {
+      return JSON.parse(fs.readFileSync(this._cachePath, 'utf-8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  _renderUrlset(entries) {
+    const urls = entries.map((entry) => {
+      const lines = [`    <loc>${escapeXml(entry.loc)}</loc>`];
+      if (entry.lastmod) {
+        lines.push(`    <lastmod>${entry.lastmod}</lastmod>`);
+      }
+      for (const alternate of entry.alternates) {
+        lines.push(`    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.hreflang)}" ` +
+          `href="${escapeXml(alternate.href)}"/>`);
+      }
+      return `  <url>\n${lines.join('\n')}\n  </url>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<urlset ${SITEMAP_NAMESPACES}>\n${urls.join('\n')}\n</urlset>\n`;
+  }
+
+  /**
+   * Writes the sitemap index referencing the generated sitemaps and the
+   * manually maintained ones from pages/static/sitemap
+   * @param  {Array} sitemaps The generated sitemaps
+   * @return {Promise}
+   */
+  async _writeIndex(sitemaps) {
+    const manualSitemaps = fs.readdirSync(MANUAL_SITEMAPS_SRC)
+        .filter((file) => file.endsWith('.xml') && file !== 'sitemap.xml')
+        .filter((file) => !sitemaps.includes(file));
+
+    const entries = sitemaps.concat(manualSitemaps).sort().map((sitemap) => {
+      const loc = escapeXml(`${config.hosts.platform.base}/${sitemap}`);
+      return `  <sitemap>\n    <loc>${loc}</loc>\n  </sitemap>`;
+    });
+
+    await writeFileAsync(path.join(this._dest, 'sitemap.xml'),
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+        `${entries.join('\n')}\n</sitemapindex>\n`);
+  }
+}
+
+if (!module.parent) {
+  new SitemapGenerator().generate().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  sitemapGenerator: new SitemapGenerator(),
+};
@@ -17,6 +17,7 @@
 'use strict';
 
 const URL = require('url').URL;
+const cheerio = require('cheerio');
 const config = require('@lib/config.js');
 
 const FORMATS = ['websites', 'stories', 'ads', 'email'];
@@ -62,6 +63,35 @@ function isFilterableRoute(route) {
   return filterableRoute;
 }
 
+/**
+ * Marks the websites variant of a page as fallback for the requested format
+ * which reveals the notice the template rendered for it
+ * @param  {String} html   The websites variant of the page
+ * @param  {String} format The requested format
+ * @return {String}
+ */
+function addFormatNotice(html, format) {
+  const dom = cheerio.load(html);
+  dom('body').attr('data-format-fallback', format);
+  return serializePage(dom);
+}
+
+/**
+ * Serializes the DOM of a page while keeping the markup of the icons intact
+ * @param  {Object} dom
+ * @return {String}
+ */
+function serializePage(dom) {
+  // As cheerio has problems with XML syntax in HTML documents the
+  // markup for the icons needs to be restored
+  return dom.html().replace(
+      'xmlns="http://www.w3.org/2000/svg" xlink="http://www.w3.org/1999/xlink"',
+      'xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"'
+  ).replace(
+      /xlink="http:\/\/www\.w3\.org\/1999\/xlink" href=/gm,
+      'xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href=');
+}
+
 /**
  * Checks if the constructed one is a actually valid format variant
  * @return {Boolean}
@@ -228,4 +258,6 @@ class Filter {
 
 module.exports.filterPage = filterPage;
 module.exports.isFilterableRoute = isFilterableRoute;
+module.exports.addFormatNotice = addFormatNotice;
+module.exports.serializePage = serializePage;
 module.exports.FORMATS = FORMATS;
@@ -0,0 +1,44 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path');
+
+// Files that get precompressed during the build and served by their variant
+const COMPRESSIBLE_EXTENSIONS = ['.html', '.css', '.js', '.json', '.xml'];
+
+// Supported content encodings in order of preference together with the
+// extension of the precompressed variant
+const ENCODINGS = [
+  {'name': 'br', 'extension': '.br'},
+  {'name': 'gzip', 'extension': '.gz'},
+];
+
+/**
+ * Checks if a precompressed variant might exist for the given file
+ * @param  {String}  filePath
+ * @return {Boolean}
+ */
+function isCompressible(filePath) {
+  return COMPRESSIBLE_EXTENSIONS.includes(path.extname(filePath));
+}
+
+module.exports = {
+  COMPRESSIBLE_EXTENSIONS,
+  ENCODINGS,
+  isCompressible,
+};
@@ -0,0 +1,152 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const config = require('@lib/config.js');
+
+const RULE_TYPES = ['exact', 'prefix', 'pattern'];
+const REDIRECT_STATUS_CODES = [301, 302, 307, 308];
+const DEFAULT_STATUS = 301;
+
+/**
+ * Matches request paths against a list of redirect rules. Each rule has
+ * exactly one of the following matchers:
+ *
+ * - exact: the path has to be equal
+ * - prefix: the path has to start with it, the rest gets appended to the target
+ * - pattern: a regular expression, captures can be used via $1, $2, ... in the target
+ *
+ * Rules are matched against the path without its locale prefix which gets
+ * prepended to relative targets again, so /fr/docs/ redirects to /fr/documentation/.
+ */
+class RedirectRules {
+  /**
+   * @param {Array} rules
+   * @param {Array} locales Locales that might prefix a path
+   */
+  constructor(rules = [], locales = config.locales) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Redirect rules have to be a list');
+    }
+    this._rules = rules.map((rule, index) => this._parseRule(rule, index));
+    this._locales = new Set(locales);
+  }
+
+  /**
+   * Reads redirect rules from a YAML file
+   * @param  {String} path
+   * @return {RedirectRules}
+   */
+  static load(path) {
+    return new RedirectRules(yaml.safeLoad(fs.readFileSync(path, 'utf-8')) || []);
+  }
+
+  get rules() {
+    return this._rules;
+  }
+
+  _parseRule(rule, index) {
+    const types = RULE_TYPES.filter((type) => rule && rule[type] !== undefined);
+    if (types.length !== 1) {
+      throw new Error(`Redirect rule #${index} needs exactly one of ${RULE_TYPES.join(', ')}`);
+    }
+    const type = types[0];
+    if (!rule.target) {
+      throw new Error(`Redirect rule #${index} (${rule[type]}) has no target`);
+    }
+    const status = rule.status || DEFAULT_STATUS;
+    if (!REDIRECT_STATUS_CODES.includes(status)) {
+      throw new Error(`Redirect rule #${index} (${rule[type]}) has invalid status ${status}`);
+    }
+
+    const parsedRule = {
+      type,
+      'source': rule[type],
+      'target': rule.target,
+      status,
+    };
+    if (type === 'pattern') {
+      try {
+        parsedRule.expression = new RegExp(rule.pattern);
+      } catch (error) {
+        throw new Error(`Redirect rule #${index} has invalid pattern: ${error.message}`);
+      }
+    }
+    return parsedRule;
+  }
+
+  /**
+   * Splits off a leading locale segment like /fr/ from the path
+   * @param  {String} path
+   * @return {Array} The locale prefix (or an empty string) and the remaining path
+   */
+  _splitLocale(path) {
+    const match = path.match(/^\/([^/]+)(\/.*)$/);
+    if (match && this._locales.has(match[1])) {
+      return [`/${match[1]}`, match[2]];
+    }
+    return ['', path];
+  }
+
+  _applyRule(rule, path) {
+    if (rule.type === 'exact') {
+      return path === rule.source ? rule.target : null;
+    }
+    if (rule.type === 'prefix') {
+      return path.startsWith(rule.source) ?
+        rule.target + path.substring(rule.source.length) : null;
+    }
+    const match = rule.expression.exec(path);
+    if (!match) {
+      return null;
+    }
+    return rule.target.replace(/\$(\d+)/g, (placeholder, group) => match[group] || '');
+  }
+
+  /**
+   * Finds the redirect for an URL
+   * @param  {String} url A root-relative URL, optionally with query string
+   * @return {null|Object} The location and status code to redirect with
+   */
+  match(url) {
+    const [path, query] = url.split(/\?(.*)/);
+    const [localePrefix, unlocalizedPath] = this._splitLocale(path);
+
+    for (const rule of this._rules) {
+      let location = this._applyRule(rule, unlocalizedPath);
+      if (location === null) {
+        continue;
+      }
+      // Only prefix targets on the same host with the locale
+      if (location.startsWith('/')) {
+        location = localePrefix + location;
+      }
+      if (query) {
+        location += (location.includes('?') ? '&' : '?') + query;
+      }
+      return {
+        location,
+        'status': rule.status,
+      };
+    }
+    return null;
+  }
+}
+
+module.exports = RedirectRules;
@@ -0,0 +1,99 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'how', 'if', 'in',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with', 'you', 'your',
+]);
+
+const MIN_TOKEN_LENGTH = 2;
+
+/**
+ * Splits text into lowercase tokens. Dashed words like amp-img are kept
+ * as a whole and additionally split up into their parts.
+ * @param  {String} text
+ * @return {Array}
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (let token of (text || '').toLowerCase().split(/[^\p{L}\p{N}-]+/u)) {
+    token = token.replace(/^-+|-+$/g, '');
+    tokens.push(token);
+    if (token.includes('-')) {
+      tokens.push(...token.split(/-+/));
+    }
+  }
+  return tokens.filter((token) => token.length >= MIN_TOKEN_LENGTH && !STOP_WORDS.has(token));
+}
+
+/**
+ * Searches the index built by the SearchIndexer. Documents need to match
+ * all terms of the query, the last one also as prefix to support search
+ * as you type.
+ * @param  {Object} index
+ * @param  {String} query
+ * @param  {Object} options Optional format, locale and limit
+ * @return {Array} The matching documents ordered by score
+ */
+function search(index, query, options = {}) {
+  const terms = Array.from(new Set(tokenize(query)));
+  if (!terms.length) {
+    return [];
+  }
+
+  let scores = null;
+  terms.forEach((term, i) => {
+    const isLast = i == terms.length - 1;
+    const termScores = new Map();
+    const matchingTokens = isLast ?
+      (index.tokenList || Object.keys(index.tokens)).filter((token) => token.startsWith(term)) :
+      [term];
+    for (const token of matchingTokens) {
+      // Exact matches rank higher than prefix matches
+      const boost = token === term ? 1 : 0.5;
+      for (const [doc, score] of index.tokens[token] || []) {
+        termScores.set(doc, (termScores.get(doc) || 0) + score * boost);
+      }
+    }
+
+    if (!scores) {
+      scores = termScores;
+      return;
+    }
+    for (const [doc, score] of scores) {
+      if (termScores.has(doc)) {
+        scores.set(doc, score + termScores.get(doc));
+      } else {
+        scores.delete(doc);
+      }
+    }
+  });
+
+  return Array.from(scores)
+      .map(([doc, score]) => Object.assign({score}, index.documents[doc]))
+      .filter((doc) => !options.format || doc.formats.includes(options.format))
+      .filter((doc) => !options.locale || doc.locale === options.locale)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || 10);
+}
+
+module.exports = {
+  tokenize,
+  search,
+};
@@ -16,22 +16,59 @@
 
 'use strict';
 
-const signale = require('signale');
+const {Signale} = require('signale');
 const fs = require('fs');
 const mri = require('mri');
 const yaml = require('js-yaml');
 const utils = require('@lib/utils');
+const {validateEnvironment, HOST_FIELDS} = require('@lib/utils/environmentSchema.js');
+
+let isMainThread = true;
+try {
+  ({isMainThread} = require('worker_threads'));
+} catch (e) {
+  // Node 10 only provides worker threads with --experimental-worker
+}
 
 const GROW_CONFIG_TEMPLATE_PATH = utils.project.absolute('platform/config/podspec.yaml');
 const GROW_CONFIG_DEST = utils.project.absolute('pages/podspec.yaml');
 const GROW_OUT_DIR = utils.project.absolute('platform/pages');
 
+// Log to stderr to keep stdout clean for tools printing the config
+const signale = new Signale({
+  'interactive': false,
+  'stream': process.stderr,
+});
+
 const ENV_DEV = 'development';
 const ENV_PROD = 'production';
 
+const DEFAULT_CSP = {
+  // Only report violations of the Content-Security-Policy instead of enforcing
+  // it, either for all surfaces or per surface like {"pages": false} where
+  // surfaces that aren't listed only report
+  'reportOnly': true,
+};
+
+const DEFAULT_LOGGING = {
+  // Requests taking longer than this many milliseconds are logged as slow
+  'slowRequestThreshold': 1000,
+};
+
+// Prefix of environment variables overriding host fields, for example
+// AMP_DEV_HOST_PLATFORM_PORT=8090
+const HOST_ENV_PREFIX = 'AMP_DEV_HOST_';
+
+// Prefix of environment variables overriding feature flags, for example
+// AMP_DEV_FLAG_MAINTENANCE=true
+const FLAG_ENV_PREFIX = 'AMP_DEV_FLAG_';
+// Prefix of command line options overriding feature flags, for example
+// --flag-maintenance or --no-flag-maintenance
+const FLAG_OPTION_PREFIX = 'flag-';
+
 class Config {
   constructor(environment = ENV_DEV) {
-    const env = require(utils.project.absolute(`platform/config/environments/${environment}.json`));
+    const env = this._loadEnvironment(environment);
 
     this.environment = env.name;
     this.hosts = env.hosts;
@@ -45,16 +82,29 @@ class Config {
       this.hostNames.add(hostName);
     });
 
+    this.logging = Object.assign({}, DEFAULT_LOGGING, env.logging);
+    this.csp = Object.assign({}, DEFAULT_CSP, env.csp);
+
     this.shared = require(utils.project.absolute('platform/config/shared.json'));
 
     // Globally initialize command line arguments for use across all modules
     this.options = mri(process.argv.slice(2));
 
+    this.flags = this._loadFlags(env);
+
+    const podspec = this._loadPodspec();
+    this.locales = podspec.localization.locales;
+    this.defaultLocale = podspec.localization.default_locale;
+
     // Synchronously write podspec for Grow to run flawlessly later in pipeline.
-    try {
-      this._configureGrow();
-    } catch (err) {
-      // writes are not permitted on GAE or in a container
+    // Worker threads load their own config but leave that to the main thread
+    // as they would otherwise all race to write the same file
+    if (isMainThread) {
+      try {
+        this._configureGrow(podspec);
+      } catch (err) {
+        // writes are not permitted on GAE or in a container
+      }
     }
   }
 
@@ -72,6 +122,120 @@ class Config {
     return this.environment === ENV_PROD;
   }
 
+  /**
+   * Loads the environment's config, applies overrides from environment
+   * variables and validates the result
+   * @param  {String} environment
+   * @return {Object}
+   */
+  _loadEnvironment(environment) {
+    const envPath = utils.project.absolute(`platform/config/environments/${environment}.json`);
+    if (!fs.existsSync(envPath)) {
+      throw new Error(`Unknown environment ${environment}, there is no ${envPath}`);
+    }
+
+    let env;
+    try {
+      env = JSON.parse(fs.readFileSync(envPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${envPath}: ${error.message}`);
+    }
+
+    // Allow single host fields to be overridden, for example when
+    // running in a container on other ports
+    for (const [name, host] of Object.entries(env.hosts || {})) {
+      for (const field of HOST_FIELDS) {
+        const variable = `${HOST_ENV_PREFIX}${name.toUpperCase()}_${field.toUpperCase()}`;
+        if (process.env[variable] !== undefined) {
+          signale.info(`Overriding hosts.${name}.${field} from ${variable}`);
+          host[field] = process.env[variable];
+        }
+      }
+    }
+
+    const errors = validateEnvironment(env);
+    if (errors.length) {
+      throw new Error(`Invalid environment config ${envPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return env;
+  }
+
+  /**
+   * Returns true if the feature flag is turned on
+   * @param  {String}  name The flag as declared in shared.json
+   * @return {Boolean}
+   */
+  isFlagEnabled(name) {
+    if (!(name in this.flags)) {
+      throw new Error(`Unknown feature flag ${name}`);
+    }
+    return Boolean(this.flags[name]);
+  }
+
+  /**
+   * Resolves the feature flags declared in shared.json. Their defaults
+   * can be overridden by the environment's config, by environment
+   * variables and by command line options, the latter taking precedence.
+   * @param  {Object} env The environment's config
+   * @return {Object}
+   */
+  _loadFlags(env) {
+    const flags = Object.assign({}, this.shared.flags);
+
+    const fromEnvironment = {};
+    const fromOptions = {};
+    for (const name of Object.keys(flags)) {
+      const variable = FLAG_ENV_PREFIX + name.replace(/([A-Z])/g, '_$1').toUpperCase();
+      if (process.env[variable] !== undefined) {
+        fromEnvironment[name] = process.env[variable];
+      }
+      const option = FLAG_OPTION_PREFIX + name.replace(/([A-Z])/g, '-$1').toLowerCase();
+      if (this.options[option] !== undefined) {
+        fromOptions[name] = this.options[option];
+      }
+    }
+
+    const overrides = [
+      [`environment ${env.name}`, env.flags || {}],
+      ['environment variables', fromEnvironment],
+      ['command line options', fromOptions],
+    ];
+    for (const [source, values] of overrides) {
+      for (const [name, value] of Object.entries(values)) {
+        if (!(name in flags)) {
+          signale.warn(`Ignoring unknown feature flag ${name} set by ${source}`);
+          continue;
+        }
+        flags[name] = this._parseFlagValue(flags[name], value);
+      }
+    }
+
+    const enabled = Object.keys(flags).filter((name) => flags[name]);
+    if (enabled.length) {
+      signale.info(`Enabled feature flags: ${enabled.join(', ')}`);
+    }
+
+    return Object.freeze(flags);
+  }
+
+  /**
+   * Converts a flag value coming from the environment or the command line
+   * to the type of the flag's default value
+   * @param  {*} defaultValue
+   * @param  {*} value
+   * @return {*}
+   */
+  _parseFlagValue(defaultValue, value) {
+    if (typeof defaultValue === 'boolean' && typeof value !== 'boolean') {
+      return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+    }
+    if (typeof defaultValue === 'number') {
+      return Number(value);
+    }
+    return value;
+  }
+
   /**
    * Builds a subdomain URL from a host object containing scheme, host, subdomain and port
    * @return {String} The full URL
@@ -91,10 +255,10 @@ class Config {
   }
 
   /**
-   * Builds a podspec for the current environment and writes it to the Grow pod
-   * @return {undefined}
+   * Reads the podspec template and enables the locales for the environment
+   * @return {Object}
    */
-  _configureGrow() {
+  _loadPodspec() {
     let podspec = fs.readFileSync(GROW_CONFIG_TEMPLATE_PATH, 'utf-8');
     podspec = yaml.safeLoad(podspec);
 
@@ -116,6 +280,15 @@ class Config {
       ];
     }
 
+    return podspec;
+  }
+
+  /**
+   * Builds a podspec for the current environment and writes it to the Grow pod
+   * @param {Object} podspec The podspec template as returned by _loadPodspec()
+   * @return {undefined}
+   */
+  _configureGrow(podspec) {
     // Add environment specific information to configuration needed for URLs
     podspec['env'] = {
       'name': this.environment,
@@ -131,6 +304,9 @@ class Config {
     // Add Google Analytics Tracking ID for use in templates
     podspec['gaTrackingId'] = this.shared.gaTrackingId;
 
+    // Make feature flags available to templates via podspec.flags
+    podspec['flags'] = Object.assign({}, this.flags);
+
     podspec['base_urls'] = {
       'repository': this.shared.baseUrls.repository,
       'playground': this.hosts.playground.base,
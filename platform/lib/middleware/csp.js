@@ -0,0 +1,112 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const config = require('../config.js');
+const {setCsp} = require('../utils/cacheHelpers.js');
+
+const CSP_REPORT_PATH = '/csp-report';
+
+// Sources allowed to be loaded by AMP documents, see
+// https://github.com/ampproject/amphtml/blob/master/spec/amp-cache-guidelines.md
+const AMP_SCRIPT_SRC = 'blob: https://cdn.ampproject.org/esm/ https://cdn.ampproject.org/mp/ https://cdn.ampproject.org/rtv/ https://cdn.ampproject.org/sp/ https://cdn.ampproject.org/sw/ https://cdn.ampproject.org/v0.js https://cdn.ampproject.org/v0/ https://cdn.ampproject.org/viewer/';
+const AMP_STYLE_SRC = '\'unsafe-inline\' https://cdn.ampproject.org/rtv/ https://cdn.materialdesignicons.com https://cloud.typography.com https://fast.fonts.net https://fonts.googleapis.com https://maxcdn.bootstrapcdn.com https://p.typekit.net https://pro.fontawesome.com https://use.fontawesome.com https://use.typekit.net';
+
+const POLICIES = {
+  // Documentation pages, 'self' allows them to install the service worker
+  'pages': [
+    'default-src * blob: data:',
+    `script-src 'self' ${AMP_SCRIPT_SRC}`,
+    'object-src \'none\'',
+    `style-src ${AMP_STYLE_SRC}`,
+  ],
+  // The boilerplate generator also installs the service worker but never
+  // submits anything
+  'boilerplate': [
+    'default-src * blob: data:',
+    `script-src 'self' ${AMP_SCRIPT_SRC}`,
+    'object-src \'none\'',
+    `style-src ${AMP_STYLE_SRC}`,
+    'form-action \'none\'',
+  ],
+  // Sample previews, besides AMP documents these include plain HTML files
+  // demonstrating how to embed AMP with their own scripts and styles
+  'preview': [
+    'default-src * blob: data:',
+    'script-src \'self\' \'unsafe-inline\' blob: https://cdn.ampproject.org https://code.getmdl.io https://vjs.zencdn.net',
+    'object-src \'none\'',
+    `style-src 'self' ${AMP_STYLE_SRC} https://ampbyexample.com https://code.getmdl.io https://vjs.zencdn.net`,
+  ],
+  // The playground is a regular web app rendering arbitrary documents in its preview
+  'playground': [
+    'default-src \'self\'',
+    'script-src \'self\' \'unsafe-inline\' https://www.googletagmanager.com https://www.google-analytics.com',
+    'style-src \'self\' \'unsafe-inline\'',
+    'font-src \'self\' https://amp.dev data:',
+    'img-src * blob: data:',
+    'connect-src *',
+    'frame-src * blob: data:',
+    'worker-src \'self\' blob:',
+    'object-src \'none\'',
+  ],
+  // APIs only return data and should never load anything
+  'api': [
+    'default-src \'none\'',
+    'frame-ancestors \'none\'',
+  ],
+};
+
+/**
+ * Checks if violations of the surface's policy are only reported. The
+ * environment either configures this for all surfaces or per surface.
+ * @param  {String} surface
+ * @return {Boolean}
+ */
+function isReportOnly(surface) {
+  const reportOnly = config.csp.reportOnly;
+  if (typeof reportOnly === 'boolean') {
+    return reportOnly;
+  }
+  return reportOnly[surface] !== false;
+}
+
+/**
+ * Creates a middleware setting the Content-Security-Policy for one of the
+ * surfaces of the platform. Depending on the environment the policy is
+ * only reported instead of enforced. A later policy replaces an earlier
+ * one, no matter if either is only reported.
+ * @param  {String} surface One of POLICIES
+ * @return {Function}
+ */
+function contentSecurityPolicy(surface) {
+  if (!POLICIES[surface]) {
+    throw new Error(`Unknown CSP surface ${surface}`);
+  }
+  const policy = POLICIES[surface]
+      .concat(`report-uri ${config.hosts.platform.base}${CSP_REPORT_PATH}`)
+      .join('; ');
+  const reportOnly = isReportOnly(surface);
+  return (request, response, next) => {
+    setCsp(response, policy, reportOnly);
+    next();
+  };
+}
+
+module.exports = {
+  contentSecurityPolicy,
+  CSP_REPORT_PATH,
+};
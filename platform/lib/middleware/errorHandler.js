@@ -0,0 +1,137 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config.js');
+const {pagePath} = require('../utils/project.js');
+const {setNoCache} = require('../utils/cacheHelpers.js');
+const {escapeHtml} = require('../utils/escape.js');
+
+const ERROR_ID_HEADER = 'X-Error-Id';
+
+/**
+ * Checks if the request has been made by a script or an API client, in
+ * which case the error should be sent as JSON instead of a HTML page
+ * @param  {expressjs.Request} request
+ * @return {Boolean}
+ */
+function isApiRequest(request) {
+  return request.xhr ||
+    request.query['__amp_source_origin'] !== undefined ||
+    /\/api\//.test(request.path) ||
+    request.accepts(['html', 'json']) === 'json';
+}
+
+/**
+ * Renders a page with all details needed to debug the error during development
+ */
+function renderDevErrorPage(error, errorId, request, response) {
+  const details = {
+    'Error ID': errorId,
+    'Router': response.locals.router || 'unknown',
+    'Method': request.method,
+    'URL': `${request.protocol}://${request.get('host')}${request.originalUrl}`,
+    'Headers': JSON.stringify(request.headers, null, 2),
+  };
+  const rows = Object.entries(details).map(([name, value]) => `
+      <tr><th>${name}</th><td><pre>${escapeHtml(value)}</pre></td></tr>`).join('');
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(error.message)}</title>
+    <style>
+      body{font-family:sans-serif;margin:2em}
+      pre{margin:0;white-space:pre-wrap}
+      th{text-align:left;vertical-align:top;padding-right:2em}
+      .stack{background:#fdd;padding:1em}
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(error.message)}</h1>
+    <pre class="stack">${escapeHtml(error.stack)}</pre>
+    <table>${rows}
+    </table>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Returns the built page for the status, client errors other than 404 share
+ * a generic page while still being sent with their own status
+ * @param  {Number} status
+ * @return {String}
+ */
+function getErrorPage(status) {
+  if (status === 404) {
+    return '404.html';
+  }
+  return status < 500 ? '4xx.html' : '500.html';
+}
+
+/**
+ * Handles errors thrown by routers. Each error gets an ID that is sent
+ * to the client and logged to be able to correlate reports with logs.
+ */
+function errorHandler(error, request, response, next) {
+  if (response.headersSent) {
+    // Let express close the connection as the response can't be changed
+    next(error);
+    return;
+  }
+
+  const errorId = crypto.randomBytes(8).toString('hex');
+  const status = error.status >= 400 && error.status < 600 ? error.status : 500;
+  response.locals.errorId = errorId;
+
+  console.error(JSON.stringify({
+    'severity': 'ERROR',
+    'errorId': errorId,
+    'router': response.locals.router || null,
+    'url': request.originalUrl,
+    'message': error.message,
+    'stack': error.stack,
+  }));
+
+  setNoCache(response);
+  response.set(ERROR_ID_HEADER, errorId);
+  response.status(status);
+
+  if (isApiRequest(request)) {
+    const body = {
+      'error': status >= 500 ? 'Internal Server Error' : error.message,
+      'errorId': errorId,
+    };
+    if (config.isDevMode()) {
+      body.stack = error.stack;
+      body.router = response.locals.router;
+    }
+    response.json(body);
+    return;
+  }
+
+  if (config.isDevMode()) {
+    response.send(renderDevErrorPage(error, errorId, request, response));
+    return;
+  }
+
+  response.sendFile(getErrorPage(status), {root: pagePath()});
+}
+
+module.exports = errorHandler;
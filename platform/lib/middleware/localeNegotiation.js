@@ -0,0 +1,201 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const LRU = require('lru-cache');
+const path = require('path');
+const {URL} = require('url');
+const config = require('../config.js');
+const {pagePath, ensureFileExtension} = require('../utils/project.js');
+const {setNoCache} = require('../utils/cacheHelpers.js');
+const {getCookie} = require('../utils/cookies.js');
+
+// Set by the language selector to explicitly choose a locale
+const LOCALE_QUERY_PARAMETER = 'lang';
+const LOCALE_COOKIE = 'locale';
+const LOCALE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+// Caches the locales a page has been translated to by its path
+const translationCache = new LRU({
+  'max': 1000,
+});
+
+/**
+ * Converts a Grow locale like pt_BR to a language tag like pt-BR
+ * @param  {String} locale
+ * @return {String}
+ */
+function toLanguageTag(locale) {
+  return locale.replace('_', '-');
+}
+
+/**
+ * Parses an Accept-Language header into language tags ordered by preference
+ * @param  {String} header
+ * @return {Array}
+ */
+function parseAcceptLanguage(header) {
+  if (!header) {
+    return [];
+  }
+  return header.split(',')
+      .map((part, index) => {
+        const [tag, ...parameters] = part.trim().split(';');
+        const quality = parameters.map((parameter) => parameter.trim())
+            .find((parameter) => parameter.startsWith('q='));
+        return {
+          'tag': tag.trim().toLowerCase(),
+          'quality': quality ? Number(quality.substring(2)) : 1,
+          index,
+        };
+      })
+      .filter((language) => language.tag && language.tag !== '*' && language.quality > 0)
+      .sort((a, b) => b.quality - a.quality || a.index - b.index)
+      .map((language) => language.tag);
+}
+
+/**
+ * Finds the best matching available locale for the Accept-Language header.
+ * Language tags are first matched exactly, then by their primary language.
+ * @param  {String} header
+ * @param  {Array} locales
+ * @return {String|undefined}
+ */
+function negotiateLocale(header, locales) {
+  for (const tag of parseAcceptLanguage(header)) {
+    const exactMatch = locales.find((locale) => toLanguageTag(locale).toLowerCase() === tag);
+    if (exactMatch) {
+      return exactMatch;
+    }
+    const language = tag.split('-')[0];
+    const languageMatch = locales.find((locale) => locale.toLowerCase().split('_')[0] === language);
+    if (languageMatch) {
+      return languageMatch;
+    }
+  }
+}
+
+/**
+ * Returns the locales a page has been translated to. These are the ones
+ * the page declares hreflang alternates for.
+ * @param  {String} requestPath The unlocalized request path
+ * @return {Promise<Array>}
+ */
+async function getTranslations(requestPath) {
+  // Resolve dot segments so the page can't be looked up outside of the pages
+  const pagePathname = path.posix.normalize(`/${requestPath}`);
+  const file = pagePath(ensureFileExtension(pagePathname));
+  if (!file.startsWith(pagePath() + path.sep)) {
+    return [];
+  }
+
+  const cached = translationCache.get(pagePathname);
+  if (cached) {
+    return cached;
+  }
+
+  let html;
+  if (config.isDevMode()) {
+    const got = require('got');
+    const page = await got(`${config.hosts.pages.base}${ensureFileExtension(pagePathname)}`)
+        .catch(() => ({}));
+    html = page.body || '';
+  } else {
+    html = await new Promise((resolve) => {
+      fs.readFile(file, 'utf-8', (error, data) => {
+        resolve(error ? '' : data);
+      });
+    });
+  }
+
+  const translations = [];
+  const hreflangPattern = /<link [^>]*hreflang="?([\w-]+)"?/g;
+  let match;
+  while ((match = hreflangPattern.exec(html))) {
+    translations.push(match[1]);
+  }
+
+  if (!config.isDevMode()) {
+    translationCache.set(pagePathname, translations);
+  }
+  return translations;
+}
+
+/**
+ * Redirects visitors that haven't chosen a locale yet from unprefixed
+ * pages to the translation matching their Accept-Language and remembers
+ * a locale explicitly chosen via the language selector.
+ */
+async function localeNegotiation(request, response, next) {
+  const [, firstSegment] = request.path.split('/');
+  const pathLocale = config.locales.includes(firstSegment) ? firstSegment : config.defaultLocale;
+  const chosenLocale = request.query[LOCALE_QUERY_PARAMETER];
+
+  if (chosenLocale && config.locales.includes(chosenLocale)) {
+    response.cookie(LOCALE_COOKIE, chosenLocale, {
+      'maxAge': LOCALE_COOKIE_MAX_AGE,
+      'httpOnly': true,
+    });
+    // Redirect to the URL without the parameter to keep URLs clean
+    const url = new URL(request.originalUrl, config.hosts.platform.base);
+    url.searchParams.delete(LOCALE_QUERY_PARAMETER);
+    setNoCache(response);
+    response.redirect(302, url.pathname + url.search);
+    return;
+  }
+
+  response.set('Content-Language', toLanguageTag(pathLocale));
+
+  // Only negotiate unprefixed documents and never AMP documents as
+  // they get signed and cached by the AMP caches
+  const isDocument = request.path.endsWith('/') || request.path.endsWith('.html') ||
+    !request.path.includes('.');
+  if (pathLocale !== config.defaultLocale || !isDocument ||
+    request.path.endsWith('.amp.html') || request.header('amp-cache-transform')) {
+    next();
+    return;
+  }
+
+  response.vary('Accept-Language');
+  response.vary('Cookie');
+
+  const preferredLocale = getCookie(request, LOCALE_COOKIE) ||
+    negotiateLocale(request.get('accept-language'), config.locales);
+  if (!preferredLocale || preferredLocale === config.defaultLocale ||
+    !config.locales.includes(preferredLocale)) {
+    next();
+    return;
+  }
+
+  try {
+    const translations = await getTranslations(request.path);
+    if (!translations.includes(preferredLocale)) {
+      next();
+      return;
+    }
+  } catch (error) {
+    next(error);
+    return;
+  }
+
+  setNoCache(response);
+  response.redirect(302, `/${preferredLocale}${request.originalUrl}`);
+}
+
+module.exports = localeNegotiation;
+module.exports.negotiateLocale = negotiateLocale;
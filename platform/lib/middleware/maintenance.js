@@ -0,0 +1,52 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const config = require('../config.js');
+const {setNoCache} = require('../utils/cacheHelpers.js');
+
+// Collected from pages/static by the pipeline
+const MAINTENANCE_PAGE = 'maintenance.html';
+const MAINTENANCE_MESSAGE = 'Down for maintenance';
+// Seconds clients are asked to wait before trying again
+const RETRY_AFTER = 10 * 60;
+
+/**
+ * Serves the maintenance page while the maintenance flag is turned on.
+ * Gets registered right before the pages router so health checks and
+ * APIs stay available.
+ */
+module.exports = (request, response, next) => {
+  if (!config.isFlagEnabled('maintenance')) {
+    next();
+    return;
+  }
+
+  setNoCache(response);
+  response.setHeader('Retry-After', RETRY_AFTER);
+  response.status(503);
+  if (!request.accepts('html')) {
+    response.send(MAINTENANCE_MESSAGE);
+    return;
+  }
+  response.sendFile(MAINTENANCE_PAGE, {root: 'static'}, (error) => {
+    // Statics might not have been collected
+    if (error && !response.headersSent) {
+      response.send(MAINTENANCE_MESSAGE);
+    }
+  });
+};
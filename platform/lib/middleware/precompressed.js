@@ -0,0 +1,179 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mime = require('mime-types');
+const LRU = require('lru-cache');
+const {promisify} = require('util');
+const {ENCODINGS, isCompressible} = require('../common/precompression.js');
+
+const stat = promisify(fs.stat);
+const readFile = promisify(fs.readFile);
+
+// Caches the ETag of each served file by its path, mtime and size
+const etagCache = new LRU({
+  'max': 5000,
+});
+
+/**
+ * Returns a strong ETag derived from the contents
+ * @param  {String|Buffer} contents
+ * @return {String}
+ */
+function createEtag(contents) {
+  const hash = crypto.createHash('sha1').update(contents);
+  return `"${hash.digest('base64').substring(0, 27)}"`;
+}
+
+/**
+ * Returns a strong ETag for the file which is derived from its contents
+ * and therefore differs between the encoded variants of a file
+ * @param  {String} filePath
+ * @param  {fs.Stats} stats
+ * @return {Promise<String>}
+ */
+async function getEtag(filePath, stats) {
+  const key = `${filePath}:${stats.mtimeMs}:${stats.size}`;
+  let etag = etagCache.get(key);
+  if (!etag) {
+    etag = createEtag(await readFile(filePath));
+    etagCache.set(key, etag);
+  }
+  return etag;
+}
+
+/**
+ * Returns the stats of a file or null if there is no such file
+ * @param  {String} filePath
+ * @return {Promise<fs.Stats|null>}
+ */
+async function statFile(filePath) {
+  try {
+    const stats = await stat(filePath);
+    return stats.isFile() ? stats : null;
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolves the request path against root, returns null if it would
+ * leave root
+ * @param  {String} root
+ * @param  {String} requestPath
+ * @return {String|null}
+ */
+function resolveFile(root, requestPath) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(requestPath);
+  } catch (error) {
+    return null;
+  }
+  if (pathname.includes('\0')) {
+    return null;
+  }
+  const filePath = path.join(root, pathname);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+/**
+ * Creates a middleware serving the precompressed variant built by the
+ * Precompressor that matches the request's Accept-Encoding. Responses
+ * carry a strong ETag and conditional requests are answered with 304.
+ * Requests for files that don't exist are passed on to the next handler.
+ * @param  {String} root The directory to serve files from
+ * @return {Function}
+ */
+function precompressed(root) {
+  root = path.resolve(root);
+
+  return async (request, response, next) => {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      next();
+      return;
+    }
+
+    const filePath = resolveFile(root, request.path);
+    if (!filePath || !isCompressible(filePath)) {
+      next();
+      return;
+    }
+
+    try {
+      const stats = await statFile(filePath);
+      if (!stats) {
+        next();
+        return;
+      }
+
+      // Serve the most preferred of the accepted encodings that has been
+      // built, not every runtime supports building all of them
+      let servedPath = filePath;
+      let servedStats = stats;
+      let candidates = ENCODINGS;
+      while (candidates.length) {
+        const accepted = request.acceptsEncodings(candidates.map((encoding) => encoding.name));
+        const encoding = candidates.find((candidate) => candidate.name === accepted);
+        if (!encoding) {
+          break;
+        }
+        // Variants older than the file are left over from a previous build
+        const variantStats = await statFile(filePath + encoding.extension);
+        if (variantStats && variantStats.mtimeMs >= stats.mtimeMs) {
+          servedPath = filePath + encoding.extension;
+          servedStats = variantStats;
+          response.setHeader('Content-Encoding', encoding.name);
+          break;
+        }
+        candidates = candidates.filter((candidate) => candidate !== encoding);
+      }
+
+      response.vary('Accept-Encoding');
+      response.setHeader('Content-Type', mime.contentType(path.extname(filePath)));
+      response.setHeader('Content-Length', servedStats.size);
+      response.setHeader('Last-Modified', stats.mtime.toUTCString());
+      response.setHeader('ETag', await getEtag(servedPath, servedStats));
+
+      if (request.fresh) {
+        response.removeHeader('Content-Length');
+        response.status(304).end();
+        return;
+      }
+
+      if (request.method === 'HEAD') {
+        response.status(200).end();
+        return;
+      }
+
+      const stream = fs.createReadStream(servedPath);
+      stream.on('error', next);
+      stream.pipe(response.status(200));
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = precompressed;
+module.exports.createEtag = createEtag;
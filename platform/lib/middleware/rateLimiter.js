@@ -0,0 +1,125 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const LRU = require('lru-cache');
+const config = require('../config.js');
+const metrics = require('../utils/metrics.js');
+
+const rateLimitedTotal = metrics.counter('rate_limited_requests_total',
+    'Number of requests rejected by the rate limiter', ['route']);
+
+/**
+ * Keeps a token bucket per key in memory. Each bucket holds up to `limit`
+ * tokens and gets refilled with `limit` tokens per `interval` seconds.
+ *
+ * Other stores (e.g. shared between instances) need to implement take()
+ * with the same signature.
+ */
+class MemoryStore {
+  constructor(maxKeys = 10000) {
+    // Least recently used clients are dropped which equals a full bucket
+    this._buckets = new LRU({
+      'max': maxKeys,
+    });
+  }
+
+  /**
+   * Takes a token from the bucket for key
+   * @param  {String} key
+   * @param  {Number} limit Capacity of the bucket
+   * @param  {Number} interval Seconds to completely refill the bucket
+   * @return {Promise<Object>} If the request is allowed, the remaining tokens
+   *   and the seconds until the bucket is full or, if empty, has a token again
+   */
+  async take(key, limit, interval) {
+    const now = Date.now();
+    const refillRate = limit / (interval * 1000);
+    const bucket = this._buckets.get(key) || {'tokens': limit, 'updated': now};
+
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updated) * refillRate);
+    bucket.updated = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    this._buckets.set(key, bucket);
+
+    return {
+      allowed,
+      'remaining': Math.floor(bucket.tokens),
+      'reset': Math.ceil((limit - bucket.tokens) / refillRate / 1000),
+      'retryAfter': allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillRate / 1000),
+    };
+  }
+}
+
+const defaultStore = new MemoryStore();
+
+/**
+ * Creates a middleware limiting requests per client IP with the budget
+ * configured for the route in shared.json
+ * @param  {String} route Name of the budget in config.shared.rateLimits
+ * @param  {Object} store Defaults to an in-memory store
+ * @return {Function}
+ */
+function rateLimit(route, store = defaultStore) {
+  const budget = (config.shared.rateLimits || {})[route];
+  if (!budget) {
+    throw new Error(`No rate limit configured for ${route}`);
+  }
+
+  return async (request, response, next) => {
+    let result;
+    try {
+      // request.ip is the address the trusted proxy has seen, clients
+      // can't change it by sending their own X-Forwarded-For header
+      result = await store.take(`${route}:${request.ip}`, budget.limit, budget.interval);
+    } catch (error) {
+      // Don't block requests if the store isn't available
+      console.error('[RATE LIMIT] Store failed', error);
+      next();
+      return;
+    }
+
+    response.set({
+      'RateLimit-Limit': budget.limit,
+      'RateLimit-Remaining': result.remaining,
+      'RateLimit-Reset': result.reset,
+    });
+
+    if (result.allowed) {
+      next();
+      return;
+    }
+
+    rateLimitedTotal.inc({route});
+    response.set('Retry-After', result.retryAfter);
+    // Use the same format as the example APIs so that amp-form's
+    // submit-error templates can render the message
+    response.status(429).json({
+      'error': `Too many requests, please try again in ${result.retryAfter} seconds`,
+      'retryAfter': result.retryAfter,
+    });
+  };
+}
+
+module.exports = {
+  rateLimit,
+  MemoryStore,
+};
@@ -17,7 +17,7 @@
 'use strict';
 
 const {setHsts} = require('../utils/cacheHelpers.js');
-const {HEALTH_CHECK_PATH} = require('../routers/healthCheck.js');
+const {HEALTH_CHECK_PATH, READINESS_CHECK_PATH} = require('../routers/healthCheck.js');
 
 const WWW_PREFIX = 'www.';
 /**
@@ -31,7 +31,7 @@ module.exports = (req, res, next) => {
   if (req.hostname === 'localhost') {
     return next();
   }
-  if (req.path === HEALTH_CHECK_PATH) {
+  if (req.path === HEALTH_CHECK_PATH || req.path === READINESS_CHECK_PATH) {
     // it's critical that health checks don't redirect for GCE healthchecks to work correctly
     return next();
   }
@@ -45,5 +45,5 @@ module.exports = (req, res, next) => {
   if (req.headers['x-forwarded-proto'] === 'https') {
     return next();
   }
-  res.redirect('https://' + req.hostname + req.path);
+  res.redirect('https://' + req.hostname + req.originalUrl);
 };
@@ -0,0 +1,108 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const config = require('../config.js');
+const metrics = require('../utils/metrics.js');
+
+const requestsTotal = metrics.counter('http_requests_total',
+    'Number of handled requests per router and status code', ['router', 'status']);
+const requestDuration = metrics.histogram('http_request_duration_seconds',
+    'Latency of handled requests per router', ['router']);
+
+/**
+ * Returns the milliseconds elapsed since the given process.hrtime()
+ * @param  {Array} start
+ * @return {Number}
+ */
+function elapsedMs(start) {
+  const elapsed = process.hrtime(start);
+  return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+}
+
+/**
+ * Logs one JSON record per request once the response has finished and
+ * adds a Server-Timing header with the time spent on the platform.
+ * Routers can enrich the record via response.locals, see tagRouter().
+ */
+function requestLogger(request, response, next) {
+  const start = process.hrtime();
+
+  // Server-Timing has to be set right before the headers are written
+  const writeHead = response.writeHead;
+  response.writeHead = function(...args) {
+    const serverTiming = `total;dur=${elapsedMs(start).toFixed(1)}`;
+    const router = response.locals.router;
+    response.setHeader('Server-Timing', router ? `${serverTiming};desc="${router}"` : serverTiming);
+    return writeHead.apply(this, args);
+  };
+
+  response.on('finish', () => {
+    const latency = elapsedMs(start);
+    const slow = latency > config.logging.slowRequestThreshold;
+    const record = {
+      'severity': slow ? 'WARNING' : 'INFO',
+      'host': request.get('host'),
+      'url': request.originalUrl,
+      'router': response.locals.router || null,
+      'status': response.statusCode,
+      'latency': Number(latency.toFixed(3)),
+      'slow': slow,
+      'sxg': Boolean(request.header('amp-cache-transform')),
+      'format': response.locals.format || null,
+      'cacheControl': response.getHeader('cache-control') || null,
+      'errorId': response.locals.errorId || null,
+    };
+    // One record per line on stdout gets picked up as structured log entry
+    process.stdout.write(`${JSON.stringify(record)}\n`);
+
+    const router = record.router || 'unknown';
+    requestsTotal.inc({router, 'status': record.status});
+    requestDuration.observe({router}, latency / 1e3);
+  });
+
+  next();
+}
+
+/**
+ * Mounts the handlers and marks the requests they handle with the router
+ * name. Requests falling through to the next router get their previous
+ * tag back, so only the router that actually handled a request names it.
+ * @param  {String} name
+ * @param  {...Function} handlers
+ * @return {Function}
+ */
+function tagRouter(name, ...handlers) {
+  // eslint-disable-next-line new-cap
+  const router = express.Router().use(...handlers);
+  return (request, response, next) => {
+    const previousName = response.locals.router;
+    response.locals.router = name;
+    router(request, response, (error) => {
+      if (!error) {
+        response.locals.router = previousName;
+      }
+      next(error);
+    });
+  };
+}
+
+module.exports = {
+  requestLogger,
+  tagRouter,
+};
@@ -19,56 +19,123 @@
 const express = require('express');
 const signale = require('signale');
 const fetch = require('node-fetch');
+const LRU = require('lru-cache');
 const ampCors = require('amp-toolbox-cors');
 const cors = require('cors');
 
 const config = require('@lib/config.js');
+const GracefulServer = require('@lib/utils/gracefulServer.js');
+const metrics = require('@lib/utils/metrics.js');
+const {requestLogger, tagRouter} = require('./requestLogger.js');
+const errorHandler = require('./errorHandler.js');
+
+const redirectsTotal = metrics.counter('subdomain_404_redirects_total',
+    'Number of unhandled subdomain requests redirected to the referrer', ['router']);
+const existenceLookupsTotal = metrics.counter('subdomain_existence_lookups_total',
+    'Number of existence checks for redirect destinations by cache result', ['cache']);
+const redirectLoopsTotal = metrics.counter('subdomain_redirect_loops_total',
+    'Number of unhandled subdomain requests not redirected as they exceeded the hops', ['router']);
+const missingAssetsTotal = metrics.counter('subdomain_missing_assets_total',
+    'Number of requests per asset the subdomain could not serve', ['router', 'asset']);
+
+// Counts the redirects of a request to be able to break loops
+const REDIRECT_HOPS_PARAMETER = '__redirect_hops';
+const MAX_REDIRECT_HOPS = 3;
+// How long the result of a existence check is cached
+const EXISTENCE_CACHE_MAX_AGE = 5 * 60 * 1000;
+// Limits the assets counted by missingAssetsTotal, all further ones are
+// counted as other to keep the number of series bounded
+const MAX_COUNTED_MISSING_ASSETS = 100;
 
 class Subdomain {
   constructor() {
     // Stores subdomain apps started during development to be able
     // to register multiple routers to them
     this.subdomainApps_ = {};
+    // Stores the servers of the subdomain apps to be able to stop them
+    this.subdomainServers_ = [];
+    // Caches pending and finished existence checks by URL
+    this.existenceCache_ = new LRU({
+      'max': 1000,
+      'maxAge': EXISTENCE_CACHE_MAX_AGE,
+    });
+    // Counts how often an asset has been missing to spot broken relative
+    // URLs in samples
+    this.missingAssets_ = new LRU({
+      'max': 500,
+    });
+    // The assets that have their own series in missingAssetsTotal
+    this.countedMissingAssets_ = new Set();
+    // Routers that already redirect unhandled requests, as routers are
+    // mapped again when restarting
+    this.redirectingRouters_ = new WeakSet();
   }
 
   /**
    * Creates a subdomain middleware matching subdomain
    * requests to the router.
+   *
+   * @param {Object} hostConfig
+   * @param {express.Router} router
+   * @param {String} name Identifies the router in request logs
    */
-  map(hostConfig, router) {
+  map(hostConfig, router, name) {
     if (!hostConfig.subdomain) {
       throw new Error('host does not specify a subdomain');
     }
+    const taggedRouter = tagRouter(name || hostConfig.subdomain, router);
     let middleware;
     if (config.isDevMode()) {
-      middleware = this.startDevServer_(hostConfig, router);
+      middleware = this.startDevServer_(hostConfig, taggedRouter);
     } else {
-      middleware = this.createSubdomainMiddleware_(hostConfig.subdomain, router);
+      middleware = this.createSubdomainMiddleware_(hostConfig.subdomain, taggedRouter);
+    }
+    if (!this.redirectingRouters_.has(router)) {
+      router.get('*', this.redirectOn404_.bind(this));
+      this.redirectingRouters_.add(router);
     }
-    router.get('*', this.redirectOn404_.bind(this));
     return middleware;
   }
 
   startDevServer_(hostConfig, router) {
-    let subdomainApp = this.subdomainApps_[hostConfig.subdomain];
-    if (!subdomainApp) {
-      subdomainApp = express();
+    let subdomainRouters = this.subdomainApps_[hostConfig.subdomain];
+    if (!subdomainRouters) {
+      const subdomainApp = express();
+      subdomainApp.use(requestLogger);
       subdomainApp.use(cors());
       subdomainApp.use(ampCors({
         'verifyOrigin': false,
       }));
-      subdomainApp.listen(hostConfig.port, () => {
+      // Routers get registered on a nested router to keep the error
+      // handler last when adding further routers
+      // eslint-disable-next-line new-cap
+      subdomainRouters = express.Router();
+      subdomainApp.use(subdomainRouters);
+      subdomainApp.use(errorHandler);
+      const server = subdomainApp.listen(hostConfig.port, () => {
         signale.info(`${hostConfig.subdomain} dev server listening on ${hostConfig.port}`);
       });
 
-      this.subdomainApps_[hostConfig.subdomain] = subdomainApp;
+      this.subdomainApps_[hostConfig.subdomain] = subdomainRouters;
+      this.subdomainServers_.push(new GracefulServer(server));
     }
-    subdomainApp.use(router);
+    subdomainRouters.use(router);
 
     // return a dummy middleware
     return (request, response, next) => next();
   }
 
+  /**
+   * Gracefully stops all subdomain dev servers.
+   * @return {Promise}
+   */
+  stop() {
+    const servers = this.subdomainServers_;
+    this.subdomainApps_ = {};
+    this.subdomainServers_ = [];
+    return Promise.all(servers.map((server) => server.close()));
+  }
+
   createSubdomainMiddleware_(subdomain, router) {
     return (request, response, next) => {
       if (request.subdomains.includes(subdomain)) {
@@ -86,20 +153,85 @@ class Subdomain {
    * - use the playground URL parameter if present
    * - use the 'Referrer' header if present
    * - use amp.dev as default Referrer.
+   *
+   * Redirects to other hosts than the platform carry a hop counter and
+   * requests that have been redirected too often are passed on to end up
+   * as a 404.
    */
-  async redirectOn404_(request, response) {
+  async redirectOn404_(request, response, next) {
+    const router = response.locals.router;
+    const hops = parseInt(request.query[REDIRECT_HOPS_PARAMETER], 10) || 0;
+    if (hops >= MAX_REDIRECT_HOPS) {
+      signale.warn(`[SUBDOMAIN] Not redirecting ${request.originalUrl} after ${hops} hops`);
+      redirectLoopsTotal.inc({router});
+      next();
+      return;
+    }
+
     const referrer = request.get('Referrer') || config.hosts.platform.base;
-    // assume request was initiated by a document-relative path
-    let destination = this.resolveUrl_(request.originalUrl.substring(1), referrer);
-    // perform a head request to check if destination exists
-    if (destination.pathname.startsWith('/static/') || !await this.exists_(destination)) {
-      // assume a root-relative path
-      destination = this.resolveUrl_(request.originalUrl, referrer);
+    let requestUrl;
+    let destination;
+    try {
+      requestUrl = new URL(request.originalUrl, config.hosts.platform.base);
+      requestUrl.searchParams.delete(REDIRECT_HOPS_PARAMETER);
+      const requestPath = requestUrl.pathname + requestUrl.search;
+
+      // assume request was initiated by a document-relative path
+      destination = this.resolveUrl_(requestPath.substring(1), referrer);
+      // perform a head request to check if destination exists
+      if (destination.pathname.startsWith('/static/') || !await this.exists_(destination)) {
+        // assume a root-relative path
+        destination = this.resolveUrl_(requestPath, referrer);
+      }
+    } catch (error) {
+      // Paths like //example or an invalid referrer can't be resolved,
+      // let them end up as a 404
+      signale.warn(`[SUBDOMAIN] Not redirecting ${request.originalUrl}: ${error.message}`);
+      next();
+      return;
     }
+    // Documents on other hosts might redirect back to a subdomain. The
+    // platform itself never redirects unhandled requests.
+    if (destination.host !== new URL(config.hosts.platform.base).host) {
+      destination.searchParams.set(REDIRECT_HOPS_PARAMETER, hops + 1);
+    }
+
+    this.logMissingAsset_(router, requestUrl.pathname, referrer, destination);
+    redirectsTotal.inc({router});
     // remove AMP CORS query param which is not needed
     response.redirect(301, destination.toString());
   }
 
+  /**
+   * Logs a asset the subdomain could not serve together with how often
+   * it has been requested so far and counts it to spot the most frequent ones
+   * @param {String} router
+   * @param {String} asset
+   * @param {String} referrer
+   * @param {URL} destination
+   */
+  logMissingAsset_(router, asset, referrer, destination) {
+    const key = `${router} ${asset}`;
+    const count = (this.missingAssets_.get(key) || 0) + 1;
+    this.missingAssets_.set(key, count);
+    if (this.countedMissingAssets_.size < MAX_COUNTED_MISSING_ASSETS) {
+      this.countedMissingAssets_.add(key);
+    }
+    missingAssetsTotal.inc({
+      router,
+      'asset': this.countedMissingAssets_.has(key) ? asset : 'other',
+    });
+    console.log(JSON.stringify({
+      'severity': 'INFO',
+      'message': 'Missing subdomain asset',
+      router,
+      asset,
+      referrer,
+      'destination': destination.toString(),
+      count,
+    }));
+  }
+
   resolveUrl_(requestPath, referrerString) {
     const referrer = new URL(referrerString);
     const playgroundDoc = referrer.searchParams.get('url');
@@ -118,15 +250,21 @@ class Subdomain {
     return url;
   }
 
-  async exists_(url) {
-    try {
-      const response = await fetch(url, {
-        method: 'HEAD',
-      });
-      return response.ok;
-    } catch (error) {
-      return false;
+  exists_(url) {
+    const key = url.toString();
+    let exists = this.existenceCache_.get(key);
+    if (exists) {
+      existenceLookupsTotal.inc({'cache': 'hit'});
+      return exists;
     }
+
+    existenceLookupsTotal.inc({'cache': 'miss'});
+    exists = fetch(url, {
+      method: 'HEAD',
+    }).then((response) => response.ok, () => false);
+    // Cache the pending lookup to not issue concurrent requests for the same URL
+    this.existenceCache_.set(key, exists);
+    return exists;
   }
 }
 
@@ -26,11 +26,18 @@ const stripCssComments = require('gulp-strip-css-comments');
 const config = require('./config');
 const utils = require('@lib/utils');
 const Grow = require('./pipeline/grow');
+const Preflight = require('./pipeline/preflight');
 const ComponentReferenceImporter = require('./pipeline/componentReferenceImporter');
 const SpecImporter = require('./pipeline/specImporter');
 const {samplesBuilder} = require('./build/samplesBuilder');
 const roadmapImporter = require('./pipeline/roadmapImporter');
 const {pageTransformer} = require('./build/pageTransformer');
+const {precompressor} = require('./build/precompressor');
+const {buildManifest} = require('./build/buildManifest');
+const {sitemapGenerator} = require('./build/sitemapGenerator');
+const {searchIndexer} = require('./build/searchIndexer');
+const {serviceWorkerGenerator} = require('./build/serviceWorkerGenerator');
+const {pageValidator} = require('./build/pageValidator');
 
 const TRANSPILE_SCSS_SRC = '../frontend/scss/**/[^_]*.scss';
 const TRANSPILE_SCSS_WATCH_SRC = '../frontend/scss/**/*.scss';
@@ -55,8 +62,7 @@ class Pipeline {
    * @return {Promise}
    */
   check() {
-    // TODO: Maybe Check node and Grow verison, so long just return a noop promise
-    return Promise.resolve();
+    return new Preflight().run();
   }
 
   /**
@@ -250,12 +256,61 @@ class Pipeline {
   }
 
   /**
-   * Validates the built release
-   * @return {undefined}
+   * Builds brotli and gzip variants of all pages and statics so they
+   * don't need to be compressed on each request. This includes the
+   * generated sitemaps and service worker, so it has to run last.
+   * @return {Promise}
+   */
+  async precompress() {
+    await precompressor.compress(utils.project.paths.PAGES_DEST);
+    await precompressor.compress(utils.project.absolute('platform/static'));
+  }
+
+  /**
+   * Generates the sitemap index and the sitemaps per section from the
+   * built pages
+   * @return {Promise}
+   */
+  async generateSitemap() {
+    return sitemapGenerator.generate();
+  }
+
+  /**
+   * Generates the service worker precaching the offline page, statics
+   * and top documents of the build
+   * @return {Promise}
+   */
+  async generateServiceWorker() {
+    return serviceWorkerGenerator.generate();
+  }
+
+  /**
+   * Indexes the built pages for the /search endpoint
+   * @return {Promise}
+   */
+  async buildSearchIndex() {
+    return searchIndexer.build();
+  }
+
+  /**
+   * Writes a manifest describing the build which is read by the platform
+   * on startup and exposed through /who-am-i
+   * @return {Promise}
+   */
+  async writeManifest() {
+    return buildManifest.write();
+  }
+
+  /**
+   * Validates the AMP pages of the built release. Production builds fail
+   * if there are errors that are not on the allowlist.
+   * @return {Promise}
    */
   async testBuild() {
-    // TODO: Run AMP validator over generated pages
-    signale.warn('Testing of build is not yet implemented!');
+    const report = await pageValidator.validate();
+    if (report.summary.failed && config.isProdMode()) {
+      throw new Error(`${report.summary.failed} pages failed the AMP validation`);
+    }
   }
 };
 
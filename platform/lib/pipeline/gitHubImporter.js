@@ -18,6 +18,7 @@ const octonode = require('octonode');
 const {Signale} = require('signale');
 
 const Document = require('./markdownDocument');
+const {buildManifest} = require('@lib/build/buildManifest');
 
 const CLIENT_TOKEN = process.env.AMP_DOC_TOKEN;
 const CLIENT_SECRET = process.env.AMP_DOC_SECRET;
@@ -107,6 +108,7 @@ class GitHubImporter {
       });
     }).then((latestReleaseTag) => {
       this._log.success(`Fetched latest release tag: ${latestReleaseTag}`);
+      buildManifest.set('ampReleaseTag', latestReleaseTag);
       return latestReleaseTag;
     }).catch((err) => {
       this._log.fatal(err);
@@ -114,6 +114,31 @@ class Grow {
     });
   }
 
+  /**
+   * Determines the version of the Grow installation
+   * @return {Promise<String>} Rejects if Grow is not installed
+   */
+  version() {
+    return new Promise((resolve, reject) => {
+      const process = spawn(this._command, ['--version'], {'stdio': 'pipe'});
+      let output = '';
+      const collect = (data) => {
+        output += data.toString();
+      };
+      process.stdout.on('data', collect);
+      process.stderr.on('data', collect);
+      process.on('error', reject);
+      process.on('close', () => {
+        const version = output.match(/\d+\.\d+\.\d+/);
+        if (version) {
+          resolve(version[0]);
+        } else {
+          reject(new Error(`Unexpected output of ${this._command} --version: ${output}`));
+        }
+      });
+    });
+  }
+
   run() {
     const args = [
       'run', '--port', `${config.hosts.pages.port}`, '--no-preprocess',
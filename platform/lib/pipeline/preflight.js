@@ -0,0 +1,229 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const {Signale} = require('signale');
+const config = require('../config.js');
+const {project} = require('../utils');
+const Grow = require('./grow');
+
+const PACKAGE_JSON = project.absolute('package.json');
+const PODSPEC_TEMPLATE = project.absolute('platform/config/podspec.yaml');
+// Directories the pipeline writes its output to
+const OUTPUT_DIRECTORIES = ['dist', 'pages', 'platform/pages', 'platform/static', '.cache'];
+// Hosts that get a server started on their port during development
+const DEV_SERVERS = ['platform', 'pages', 'playground', 'preview', 'go'];
+
+/**
+ * Splits a version like v10.15.3 into its numeric parts
+ * @param  {String} version
+ * @return {Array}
+ */
+function parseVersion(version) {
+  const parts = version.replace(/^v/, '').split('.').map(Number);
+  return [0, 1, 2].map((i) => parts[i] || 0);
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Checks a version against a range like 10.x or >=0.7.4 <1.0.0. Supports
+ * the comparators used in package.json and podspec.yaml, not all of semver,
+ * and throws for others like ^1.2.3 instead of failing the check.
+ * @param  {String} version
+ * @param  {String} range
+ * @return {Boolean}
+ */
+function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  return range.trim().split(/\s+/).every((comparator) => {
+    const match = comparator.match(/^(>=|<=|>|<|=)?v?((\d+|[x*])(\.(\d+|[x*])){0,2})$/i);
+    if (!match) {
+      throw new Error(`Unsupported version range ${range}`);
+    }
+    const [, operator, bound] = match;
+    const parts = bound.split('.');
+    const wildcard = parts.findIndex((part) => /^[x*]$/i.test(part));
+    if (!operator && (wildcard != -1 || parts.length < 3)) {
+      // X-ranges match all versions starting with the given parts
+      return parts.slice(0, wildcard == -1 ? parts.length : wildcard)
+          .every((part, i) => Number(part) === parsed[i]);
+    }
+
+    const difference = compareVersions(parsed, parseVersion(bound));
+    switch (operator) {
+      case '>=':
+        return difference >= 0;
+      case '<=':
+        return difference <= 0;
+      case '>':
+        return difference > 0;
+      case '<':
+        return difference < 0;
+      default:
+        return difference === 0;
+    }
+  });
+}
+
+function isPortFree(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.listen(port, () => server.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Checks that everything the pipeline needs is in place before starting
+ * it, to not fail late and cryptically. Each failed check comes with a
+ * fix that is printed along with it.
+ */
+class Preflight {
+  constructor() {
+    this._log = new Signale({
+      'interactive': false,
+      'scope': 'Preflight',
+    });
+  }
+
+  /**
+   * Runs all checks
+   * @return {Promise} Rejects if any of the checks failed
+   */
+  async run() {
+    // Other Node versions mostly work, like the LTS the CI builds with,
+    // therefore a mismatch only gets reported
+    const warnings = ['Node'];
+    const checks = [
+      ['Node', () => this._checkNode()],
+      ['Grow', () => this._checkGrow()],
+      ['Output directories', () => this._checkOutputDirectories()],
+    ];
+    if (config.options['import'] === true) {
+      checks.push(['GitHub credentials', () => this._checkCredentials()]);
+    }
+    if (config.isDevMode()) {
+      checks.push(['Ports', () => this._checkPorts()]);
+    }
+
+    const failed = [];
+    for (const [name, check] of checks) {
+      const fixes = await check();
+      const message = `${name}:\n${fixes.map((fix) => `  - ${fix}`).join('\n')}`;
+      if (fixes.length && warnings.includes(name)) {
+        this._log.warn(message);
+      } else if (fixes.length) {
+        this._log.error(message);
+        failed.push(name);
+      } else {
+        this._log.success(name);
+      }
+    }
+
+    if (failed.length) {
+      throw new Error(`Preflight failed for ${failed.join(', ')}, ` +
+        'skip it with --skip check if you know what you are doing');
+    }
+  }
+
+  _checkNode() {
+    const range = JSON.parse(fs.readFileSync(PACKAGE_JSON, 'utf-8')).engines.node;
+    if (satisfies(process.version, range)) {
+      return [];
+    }
+    return [`Node ${process.version} does not match ${range} required by package.json, ` +
+      `install it with \`nvm install ${range.replace(/\.x$/, '')}\``];
+  }
+
+  async _checkGrow() {
+    const range = yaml.safeLoad(fs.readFileSync(PODSPEC_TEMPLATE, 'utf-8')).grow_version;
+    let version;
+    try {
+      version = await new Grow().version();
+    } catch (error) {
+      return [`Grow could not be run (${error.message}), ` +
+        'install it with `curl https://install.grow.io | bash`'];
+    }
+    if (satisfies(version, range)) {
+      return [];
+    }
+    return [`Grow ${version} does not match ${range} required by podspec.yaml, ` +
+      'update it with `grow upgrade`'];
+  }
+
+  _checkCredentials() {
+    // The same credentials as used by the GitHubImporter
+    const env = process.env;
+    if (env.AMP_DOC_TOKEN || (env.AMP_DOC_ID && env.AMP_DOC_SECRET)) {
+      return [];
+    }
+    return ['Importing documents with --import needs a GitHub personal access token, ' +
+      'export it as AMP_DOC_TOKEN or export AMP_DOC_ID and AMP_DOC_SECRET of a GitHub app, ' +
+      'see README.md'];
+  }
+
+  /**
+   * Checks that the output directories or the closest of their parents
+   * that already exists can be written to
+   * @return {Array}
+   */
+  _checkOutputDirectories() {
+    const fixes = [];
+    for (const directory of OUTPUT_DIRECTORIES) {
+      let existing = project.absolute(directory);
+      while (!fs.existsSync(existing)) {
+        existing = path.dirname(existing);
+      }
+      try {
+        fs.accessSync(existing, fs.constants.W_OK);
+      } catch (error) {
+        fixes.push(`${existing} is not writable, make sure ${os.userInfo().username} ` +
+          'owns it');
+      }
+    }
+    return fixes;
+  }
+
+  async _checkPorts() {
+    const fixes = [];
+    for (const name of DEV_SERVERS) {
+      const port = config.hosts[name] && config.hosts[name].port;
+      if (port && !await isPortFree(port)) {
+        fixes.push(`Port ${port} of ${name} is in use, stop the process listening on it ` +
+          `or choose another one with AMP_DEV_HOST_${name.toUpperCase()}_PORT`);
+      }
+    }
+    return fixes;
+  }
+}
+
+module.exports = Preflight;
+module.exports.satisfies = satisfies;
@@ -0,0 +1,186 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+const {Signale} = require('signale');
+
+const STATUS_DONE = 'done';
+const STATUS_FAILED = 'failed';
+const STATUS_BLOCKED = 'blocked';
+const STATUS_SKIPPED = 'skipped';
+
+/**
+ * Runs tasks declared along with the tasks they depend on. Each task is
+ * started as soon as all of its dependencies are done, so independent
+ * tasks run in parallel. If a task fails the tasks depending on it are
+ * not run while all others are.
+ */
+class TaskRunner {
+  constructor() {
+    this._log = new Signale({
+      'interactive': false,
+      'scope': 'Task runner',
+    });
+    this._tasks = new Map();
+  }
+
+  /**
+   * Declares a task. Dependencies have to be declared before which keeps
+   * the tasks free of cycles.
+   * @param {String}   name
+   * @param {Array}    dependencies Names of the tasks that have to be done before
+   * @param {Function} run          Returning a promise that resolves once done
+   * @return {TaskRunner}
+   */
+  add(name, dependencies, run) {
+    if (this._tasks.has(name)) {
+      throw new Error(`Task ${name} has already been declared`);
+    }
+    for (const dependency of dependencies) {
+      if (!this._tasks.has(dependency)) {
+        throw new Error(`Task ${name} depends on undeclared task ${dependency}`);
+      }
+    }
+    this._tasks.set(name, {name, dependencies, run});
+    return this;
+  }
+
+  /**
+   * Runs all declared tasks or a selection of them. Tasks that are not
+   * selected count as done for the ones depending on them, which allows
+   * to rerun single steps on top of a previous build.
+   * @param  {Object} selection
+   * @param  {Array} selection.only Run only these tasks
+   * @param  {Array} selection.skip Run all tasks but these
+   * @return {Promise<Map>} The result of each task, rejects if any failed
+   */
+  async run(selection = {}) {
+    const selected = this._select(selection);
+    const results = new Map();
+    const pending = new Map();
+
+    const runTask = (name) => {
+      if (!pending.has(name)) {
+        pending.set(name, this._runTask(this._tasks.get(name), selected, runTask, results));
+      }
+      return pending.get(name);
+    };
+    await Promise.all(Array.from(this._tasks.keys()).map(runTask));
+
+    this._printSummary(results);
+    const failed = Array.from(results.values())
+        .filter((result) => result.status === STATUS_FAILED);
+    if (failed.length) {
+      throw new Error(`${failed.map((result) => result.name).join(', ')} failed`);
+    }
+    return results;
+  }
+
+  async _runTask(task, selected, runTask, results) {
+    const dependencies = await Promise.all(task.dependencies.map(runTask));
+    const result = {'name': task.name, 'duration': 0};
+    results.set(task.name, result);
+
+    const unmet = dependencies.filter((dependency) => {
+      return dependency.status === STATUS_FAILED || dependency.status === STATUS_BLOCKED;
+    });
+    if (unmet.length) {
+      result.status = STATUS_BLOCKED;
+      result.reason = `${unmet.map((dependency) => dependency.name).join(', ')} did not finish`;
+      this._log.warn(`Not running ${task.name} as ${result.reason}.`);
+      return result;
+    }
+    if (!selected.has(task.name)) {
+      result.status = STATUS_SKIPPED;
+      return result;
+    }
+
+    const start = process.hrtime();
+    try {
+      await task.run();
+      result.status = STATUS_DONE;
+    } catch (error) {
+      result.status = STATUS_FAILED;
+      result.reason = error && error.message || String(error);
+      this._log.error(`${task.name} failed:`, error);
+    }
+    const elapsed = process.hrtime(start);
+    result.duration = elapsed[0] + elapsed[1] / 1e9;
+    return result;
+  }
+
+  /**
+   * Resolves the names of the tasks to run
+   * @param  {Object} selection
+   * @return {Set}
+   */
+  _select({only = [], skip = []}) {
+    for (const name of only.concat(skip)) {
+      if (!this._tasks.has(name)) {
+        throw new Error(`Unknown task ${name}, available are ` +
+          Array.from(this._tasks.keys()).join(', '));
+      }
+    }
+    const names = only.length ? only : Array.from(this._tasks.keys());
+    return new Set(names.filter((name) => !skip.includes(name)));
+  }
+
+  /**
+   * Logs a table with the status and duration of each task
+   * @param  {Map} results
+   */
+  _printSummary(results) {
+    const rows = Array.from(this._tasks.keys()).map((name) => {
+      const result = results.get(name);
+      return [
+        name,
+        result.status,
+        result.duration ? `${result.duration.toFixed(1)}s` : '',
+        result.reason || '',
+      ];
+    });
+    const header = ['Task', 'Status', 'Duration', ''];
+    const widths = header.map((column, i) => {
+      return Math.max(column.length, ...rows.map((row) => row[i].length));
+    });
+    const format = (row) => row.map((column, i) => {
+      // Right align the durations
+      return i == 2 ? column.padStart(widths[i]) : column.padEnd(widths[i]);
+    }).join('  ').trimEnd();
+
+    this._log.info(['Summary', format(header)].concat(rows.map(format)).join('\n'));
+  }
+}
+
+/**
+ * Parses a task selection option which can be given as a comma separated
+ * list or multiple times, like --skip test --skip=sitemap,searchIndex
+ * @param  {String|Array} option
+ * @return {Array}
+ */
+function parseTaskList(option) {
+  if (!option || option === true) {
+    return [];
+  }
+  return [].concat(option).join(',').split(',')
+      .map((name) => name.trim())
+      .filter((name) => name);
+}
+
+module.exports = TaskRunner;
+module.exports.parseTaskList = parseTaskList;
@@ -22,21 +22,27 @@ const shrinkRay = require('shrink-ray-current');
 const cors = require('cors');
 const ampCors = require('amp-toolbox-cors');
 const config = require('./config.js');
-const {pagePath} = require('@lib/utils/project');
 const subdomain = require('./middleware/subdomain.js');
+const {requestLogger, tagRouter} = require('./middleware/requestLogger.js');
+const {contentSecurityPolicy: csp} = require('./middleware/csp.js');
+const GracefulServer = require('./utils/gracefulServer.js');
 
 const routers = {
   boilerplate: require('../../boilerplate/backend/'),
+  cspReport: require('@lib/routers/cspReport.js'),
   example: {
     sources: require('@lib/routers/example/sources.js'),
     embeds: require('@lib/routers/example/embeds.js'),
     api: require('@examples'),
   },
-  go: require('@lib/routers/go.js'),
+  go: require('@lib/routers/go.js').router,
   healthCheck: require('@lib/routers/healthCheck.js').router,
+  metrics: require('@lib/routers/metrics.js').router,
   notFound: require('@lib/routers/notFound.js'),
   packager: require('@lib/routers/packager.js'),
   pages: require('@lib/routers/pages.js'),
+  redirects: require('@lib/routers/redirects.js'),
+  search: require('@lib/routers/search.js').router,
   playground: require('../../playground/backend/'),
   static: require('@lib/routers/static.js'),
   whoAmI: require('@lib/routers/whoAmI.js'),
@@ -44,6 +50,10 @@ const routers = {
 
 const HOST = config.hosts.platform.base;
 const PORT = config.hosts.platform.port || process.env.APP_PORT || 80;
+// App Engine's front end is the only proxy in front of the platform. Only
+// the address it adds to X-Forwarded-For can be trusted, all others have
+// been sent by the client.
+const TRUSTED_PROXY_HOPS = 1;
 
 class Platform {
   start() {
@@ -57,23 +67,37 @@ class Platform {
         // Increase keep alive timeout
         // see https://cloud.google.com/load-balancing/docs/https/#timeouts_and_retries
         httpServer.keepAliveTimeout = 700 * 1000;
+        this.httpServer = new GracefulServer(httpServer);
       } catch (err) {
         reject(err);
       }
     });
   }
 
-  stop() {
-    return Promise.resolve();
-    // TODO
+  /**
+   * Stops accepting new connections and waits for in-flight requests
+   * of the platform and all subdomain dev servers to finish
+   * @return {Promise}
+   */
+  async stop() {
+    if (!this.httpServer) {
+      return;
+    }
+    signale.await('Stopping platform ...');
+    await Promise.all([
+      this.httpServer.close(),
+      subdomain.stop(),
+    ]);
+    this.httpServer = null;
+    signale.success('Platform stopped!');
   }
 
   _createServer() {
     signale.await(`Starting platform with environment ${config.environment} on ${HOST} ...`);
     this.server = express();
 
-    // pass app engine HTTPS status to express app
-    this.server.set('trust proxy', true);
+    // pass app engine HTTPS status and the client's address to express app
+    this.server.set('trust proxy', TRUSTED_PROXY_HOPS);
 
     this._configureMiddlewares();
     this._configureSubdomains();
@@ -82,6 +106,7 @@ class Platform {
   }
 
   _configureMiddlewares() {
+    this.server.use(requestLogger);
     this.server.use(shrinkRay());
     this.server.use(require('./middleware/security.js'));
     this.server.use(require('./middleware/redirects.js'));
@@ -90,58 +115,45 @@ class Platform {
     this.server.use(ampCors({
       'verifyOrigin': false,
     }));
-    // debug computing times
-    this.server.use((req, res, next) => {
-      const timeStart = process.hrtime();
-
-      res.on('finish', () => {
-        const timeElapsed = process.hrtime(timeStart);
-        let seconds = (timeElapsed[0] * 1000 + timeElapsed[1] / 1e6) / 1000;
-        seconds = seconds.toFixed(3);
-        const prefix = seconds > 1 ? 'CRITICAL_TIMING' : 'TIMING';
-        let postfix = `[${res.statusCode}]`;
-        if (req.header('amp-cache-transform')) {
-          postfix += ' [SXG]';
-        }
-        console.log(`[${prefix}] ${req.get('host')}${req.originalUrl} ${seconds}s ${postfix}`);
-      });
-
-      next();
-    });
   }
 
   _configureSubdomains() {
-    this.server.use(subdomain.map(config.hosts.playground, routers.playground));
-    this.server.use(subdomain.map(config.hosts.go, routers.go));
+    // eslint-disable-next-line new-cap
+    this.server.use(subdomain.map(config.hosts.playground, express.Router().use([
+      csp('playground'),
+      routers.playground,
+    ]), 'playground'));
+    this.server.use(subdomain.map(config.hosts.go, routers.go, 'go'));
     // eslint-disable-next-line new-cap
     this.server.use(subdomain.map(config.hosts.preview, express.Router().use([
+      csp('preview'),
       routers.example.embeds,
       routers.example.sources,
       routers.example.api,
-    ])));
+    ]), 'preview'));
   }
 
   _configureRouters() {
-    this.server.use(routers.packager);
-    this.server.use(routers.whoAmI);
-    this.server.use(routers.healthCheck);
-    this.server.use(routers.example.api);
-    this.server.use(routers.boilerplate);
-    this.server.use(routers.static);
+    this.server.use(tagRouter('redirects', routers.redirects));
+    this.server.use(tagRouter('packager', routers.packager));
+    this.server.use(tagRouter('whoAmI', routers.whoAmI));
+    this.server.use(tagRouter('metrics', routers.metrics));
+    this.server.use(tagRouter('cspReport', routers.cspReport));
+    this.server.use(tagRouter('healthCheck', routers.healthCheck));
+    this.server.use(tagRouter('search', csp('api'), routers.search));
+    this.server.use(tagRouter('exampleApi', csp('preview'), routers.example.api));
+    this.server.use(tagRouter('boilerplate', csp('boilerplate'), routers.boilerplate));
+    this.server.use(tagRouter('static', routers.static));
+    this.server.use(tagRouter('maintenance', require('./middleware/maintenance.js')));
     // Register the following router at last as it works as a catch-all
-    this.server.use(routers.pages);
+    this.server.use(tagRouter('pages', csp('pages'), routers.pages));
   }
 
   _configureErrorHandlers() {
     // handle errors
-    this.server.use((err, req, res, next) => { // eslint-disable-line no-unused-vars
-      if (err) {
-        console.log(err);
-        res.status(500).sendFile('500.html', {root: pagePath()});
-      }
-    });
+    this.server.use(require('./middleware/errorHandler.js'));
     // handle 404s
-    this.server.use(routers.notFound);
+    this.server.use(tagRouter('notFound', routers.notFound));
   }
 };
 
@@ -0,0 +1,141 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const {Signale} = require('signale');
+const LRU = require('lru-cache');
+const {URL} = require('url');
+const metrics = require('../utils/metrics.js');
+const {setNoCache} = require('../utils/cacheHelpers.js');
+const {isAuthorized} = require('../utils/authorization.js');
+const {CSP_REPORT_PATH} = require('../middleware/csp.js');
+
+const cspViolationsTotal = metrics.counter('csp_violations_total',
+    'Number of reported Content-Security-Policy violations', ['directive']);
+
+// Required to read the aggregated violations outside of development
+const REPORT_TOKEN = process.env.AMP_DEV_CSP_REPORT_TOKEN;
+
+const log = new Signale({
+  'interactive': false,
+  'scope': 'CSP report',
+});
+// Anybody can send reports, so only this many new violations get logged
+// per minute to not flood the logs
+const MAX_LOGGED_VIOLATIONS = 10;
+const LOG_WINDOW = 60 * 1000;
+let logWindowStart = 0;
+let loggedViolations = 0;
+
+// Aggregated violations by directive and blocked origin
+const violations = new LRU({
+  'max': 500,
+});
+
+// eslint-disable-next-line new-cap
+const cspReport = express.Router();
+
+/**
+ * Reduces a blocked URI to its origin as the full URLs would result
+ * in too many distinct violations
+ * @param  {String} blockedUri
+ * @return {String}
+ */
+function toOrigin(blockedUri) {
+  try {
+    return new URL(blockedUri).origin;
+  } catch (error) {
+    // Keywords like inline or eval
+    return blockedUri || 'unknown';
+  }
+}
+
+/**
+ * Normalizes reports sent via report-uri and the Reporting API
+ * @param  {Object|Array} body
+ * @return {Array}
+ */
+function extractReports(body) {
+  if (Array.isArray(body)) {
+    return body.filter((report) => report.type === 'csp-violation')
+        .map((report) => report.body || {});
+  }
+  if (body && body['csp-report']) {
+    return [body['csp-report']];
+  }
+  return [];
+}
+
+function logViolation(report) {
+  const now = Date.now();
+  if (now - logWindowStart >= LOG_WINDOW) {
+    if (loggedViolations > MAX_LOGGED_VIOLATIONS) {
+      log.warn(`Skipped logging ${loggedViolations - MAX_LOGGED_VIOLATIONS} new violations`);
+    }
+    logWindowStart = now;
+    loggedViolations = 0;
+  }
+  if (++loggedViolations <= MAX_LOGGED_VIOLATIONS) {
+    log.warn('New violation', JSON.stringify(report));
+  }
+}
+
+function recordViolation(report) {
+  const directive = report['effective-directive'] || report['violated-directive'] ||
+    report['effectiveDirective'] || 'unknown';
+  const blocked = toOrigin(report['blocked-uri'] || report['blockedURL']);
+  const key = `${directive} ${blocked}`;
+
+  let violation = violations.get(key);
+  if (!violation) {
+    violation = {
+      directive,
+      blocked,
+      'count': 0,
+      'firstSeen': new Date().toISOString(),
+      'documentUri': report['document-uri'] || report['documentURL'],
+    };
+    logViolation(report);
+  }
+  violation.count++;
+  violation.lastSeen = new Date().toISOString();
+  violations.set(key, violation);
+  cspViolationsTotal.inc({directive});
+}
+
+cspReport.post(CSP_REPORT_PATH, express.json({
+  'type': ['application/csp-report', 'application/reports+json', 'application/json'],
+  'limit': '10kb',
+}), (request, response) => {
+  extractReports(request.body).forEach(recordViolation);
+  response.status(204).end();
+});
+
+// Lists the aggregated violations with the most frequent first
+cspReport.get(CSP_REPORT_PATH, (request, response, next) => {
+  setNoCache(response);
+  // The violations reveal details of the visitors' pages
+  if (!isAuthorized(request, REPORT_TOKEN)) {
+    // Pretend there is nothing to not reveal the endpoint
+    next();
+    return;
+  }
+  response.json(violations.values().sort((a, b) => b.count - a.count));
+});
+
+module.exports = cspReport;
@@ -17,33 +17,204 @@
 'use strict';
 const yaml = require('js-yaml');
 const express = require('express');
+const signale = require('signale');
 const config = require('@lib/config.js');
-const {join} = require('path');
-const {readFileSync} = require('fs');
+const metrics = require('@lib/utils/metrics.js');
+const {basename, dirname, join} = require('path');
+const {readFileSync, watch} = require('fs');
 const notFound = require('./notFound.js');
+const {setMaxAge} = require('../utils/cacheHelpers.js');
+const {escapeHtml} = require('../utils/escape.js');
 const URL = require('url').URL;
 
 const GO_LINKS_DEFINITION = join(__dirname, '../../config/go-links.yaml');
+const PARAMETER_PATTERN = /:(\w+)/g;
+
+const goLinkHits = metrics.counter('go_link_hits_total',
+    'Number of redirects per go link', ['link']);
 
 // eslint-disable-next-line new-cap
 const go = express.Router();
 
-const goLinks = yaml.safeLoad(readFileSync(GO_LINKS_DEFINITION));
+let goLinks = [];
 
-go.use((request, response, next) => {
-  const target = goLinks[request.path];
-  if (!target) {
-    notFound(request, response, next);
+/**
+ * Verifies a target is either an absolute http(s) URL or a path rooted on
+ * the platform, relative targets would depend on the requested link
+ * @param  {String} target
+ * @return {undefined}
+ */
+function validateTarget(target) {
+  if (target.startsWith('/') && !target.startsWith('//')) {
     return;
   }
+
+  let url;
   try {
-    const targetUrl = new URL(target, config.hosts.platform.base);
-    response.redirect(targetUrl.toString());
-    return;
+    url = new URL(target);
   } catch (error) {
-    console.log(error);
+    throw new Error(`target ${target} is neither an absolute URL nor a rooted path`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`target ${target} has an unsupported protocol`);
+  }
+}
+
+/**
+ * Parses a single go link definition. A definition is either the target
+ * or an object with target and description. Links can contain parameters
+ * like /c/:component which get substituted in the target.
+ * @param  {String} path
+ * @param  {String|Object} definition
+ * @return {Object}
+ */
+function parseGoLink(path, definition) {
+  if (typeof definition === 'string') {
+    definition = {'target': definition};
+  }
+  if (!definition || !definition.target) {
+    throw new Error('no target defined');
+  }
+
+  const parameters = [];
+  const expression = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(PARAMETER_PATTERN, (match, name) => {
+        parameters.push(name);
+        return '([^/]+)';
+      });
+  const targetParameters = (definition.target.match(PARAMETER_PATTERN) || [])
+      .map((parameter) => parameter.substring(1));
+  for (const parameter of targetParameters) {
+    if (!parameters.includes(parameter)) {
+      throw new Error(`target uses unknown parameter :${parameter}`);
+    }
+  }
+
+  validateTarget(definition.target);
+
+  return {
+    path,
+    'target': definition.target,
+    'description': definition.description || '',
+    parameters,
+    'expression': new RegExp(`^${expression}$`),
+  };
+}
+
+/**
+ * Reads all go links and reports invalid ones, which are skipped
+ * @return {Array}
+ */
+function loadGoLinks() {
+  const definitions = yaml.safeLoad(readFileSync(GO_LINKS_DEFINITION)) || {};
+  const links = [];
+  for (const [path, definition] of Object.entries(definitions)) {
+    try {
+      links.push(parseGoLink(path, definition));
+    } catch (error) {
+      signale.error(`[GO] Invalid go link ${path}: ${error.message}`);
+    }
+  }
+  signale.info(`[GO] Loaded ${links.length} go links`);
+  return links;
+}
+
+/**
+ * Finds the go link matching the path and builds its target URL
+ * @param  {String} path
+ * @return {null|Object} The matching link and the target URL
+ */
+function resolveGoLink(path) {
+  for (const link of goLinks) {
+    const match = link.expression.exec(path);
+    if (!match) {
+      continue;
+    }
+    // Parameters are taken over as is as the request path is already encoded
+    const target = link.target.replace(PARAMETER_PATTERN, (parameter, name) => {
+      return match[link.parameters.indexOf(name) + 1];
+    });
+    return {
+      link,
+      'url': new URL(target, config.hosts.platform.base),
+    };
+  }
+  return null;
+}
+
+function renderIndex() {
+  const rows = goLinks.map((link) => {
+    // Links with parameters have no single target to link to
+    let target = escapeHtml(link.target);
+    if (!link.parameters.length) {
+      const href = new URL(link.target, config.hosts.platform.base).toString();
+      target = `<a href="${escapeHtml(href)}">${target}</a>`;
+    }
+    return `
+      <tr>
+        <td><code>${escapeHtml(link.path)}</code></td>
+        <td>${escapeHtml(link.description)}</td>
+        <td>${target}</td>
+        <td>${goLinkHits.get({'link': link.path})}</td>
+      </tr>`;
+  }).join('');
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width,minimum-scale=1">
+    <title>go.amp.dev</title>
+    <style>
+      body{font-family:sans-serif;margin:2em}
+      table{border-collapse:collapse}
+      td,th{padding:.3em 1em;text-align:left;border-bottom:1px solid #ddd}
+    </style>
+  </head>
+  <body>
+    <h1>go.amp.dev</h1>
+    <table>
+      <tr><th>Link</th><th>Description</th><th>Target</th><th>Hits</th></tr>${rows}
+    </table>
+  </body>
+</html>
+`;
+}
+
+goLinks = loadGoLinks();
+
+// Reload go links on changes during development
+if (config.isDevMode()) {
+  // Watch the directory as editors replacing the file would end a watch
+  // on the file itself. Don't keep the process alive just for watching.
+  watch(dirname(GO_LINKS_DEFINITION), {'persistent': false}, (eventType, filename) => {
+    if (filename !== basename(GO_LINKS_DEFINITION)) {
+      return;
+    }
+    try {
+      goLinks = loadGoLinks();
+    } catch (error) {
+      signale.error('[GO] Could not reload go links, keeping previous ones', error);
+    }
+  });
+}
+
+go.get('/', (request, response) => {
+  setMaxAge(response, 60);
+  response.send(renderIndex());
+});
+
+go.use((request, response, next) => {
+  const goLink = resolveGoLink(request.path);
+  if (!goLink) {
     notFound(request, response, next);
+    return;
   }
+  goLinkHits.inc({'link': goLink.link.path});
+  response.redirect(goLink.url.toString());
 });
 
-module.exports = go;
+module.exports = {
+  router: go,
+  parseGoLink,
+  goLinkHits,
+};
@@ -17,19 +17,118 @@
 'use strict';
 
 const express = require('express');
+const {Signale} = require('signale');
+const fs = require('fs');
+const path = require('path');
+const {promisify} = require('util');
+const config = require('../config.js');
+const {project} = require('../utils');
+const {setNoCache} = require('../utils/cacheHelpers.js');
 
 // eslint-disable-next-line new-cap
 const healthCheck = express.Router();
 const HEALTH_CHECK_PATH = '/__health-check';
+const READINESS_CHECK_PATH = '/__readiness-check';
 
-// Used by GCE to determine wether a VM instance is healthy.
+const log = new Signale({
+  'interactive': false,
+  'scope': 'Readiness check',
+});
+
+const STATUS_OK = 'ok';
+const STATUS_FAILED = 'failed';
+
+const access = promisify(fs.access);
+const readdir = promisify(fs.readdir);
+
+/**
+ * Checks that a directory exists and contains the given files, or any
+ * file at all if no files are given
+ * @param  {String} dir
+ * @param  {Array}  files
+ * @return {Promise<Object>} The check result
+ */
+async function checkDirectory(dir, files = []) {
+  let contents;
+  try {
+    contents = await readdir(dir);
+  } catch (error) {
+    return {'status': STATUS_FAILED, 'message': `${dir} does not exist`};
+  }
+  const missing = [];
+  await Promise.all(files.map((file) => {
+    return access(path.join(dir, file)).catch(() => missing.push(file));
+  }));
+  if (missing.length) {
+    return {'status': STATUS_FAILED, 'message': `${dir} is missing ${missing.join(', ')}`};
+  }
+  if (!files.length && !contents.length) {
+    return {'status': STATUS_FAILED, 'message': `${dir} is empty`};
+  }
+  return {'status': STATUS_OK};
+}
+
+async function checkPackager() {
+  if (!config.hosts.packager || !config.hosts.packager.host) {
+    return {'status': STATUS_FAILED, 'message': 'No packager host configured'};
+  }
+  return {'status': STATUS_OK, 'message': config.hosts.packager.base};
+}
+
+const READINESS_CHECKS = {
+  'pages': () => checkDirectory(project.paths.PAGES_DEST, ['404.html', '4xx.html', '500.html']),
+  'exampleSources': () => checkDirectory(project.absolute('dist/examples/sources')),
+  'exampleEmbeds': () => checkDirectory(project.absolute('dist/examples/embeds')),
+  'playground': () => checkDirectory(project.absolute('playground/dist')),
+  'boilerplate': () => checkDirectory(project.absolute('boilerplate/dist')),
+  'packager': checkPackager,
+};
+
+/**
+ * Runs all readiness checks
+ * @return {Promise<Object>} The overall status and the result per check
+ */
+async function runReadinessChecks() {
+  const names = Object.keys(READINESS_CHECKS);
+  const results = await Promise.all(names.map((name) => {
+    return READINESS_CHECKS[name]().catch((error) => {
+      return {'status': STATUS_FAILED, 'message': error.message};
+    });
+  }));
+  const checks = {};
+  names.forEach((name, index) => {
+    checks[name] = results[index];
+  });
+  const failed = Object.values(checks).some((check) => check.status !== STATUS_OK);
+  return {'status': failed ? STATUS_FAILED : STATUS_OK, checks};
+}
+
+// Used by GCE to determine wether a VM instance is healthy. Keep this
+// one fast, the detailed checks are done by the readiness check.
 healthCheck.get(HEALTH_CHECK_PATH, (req, res) => {
-  // TODO add more checks
   console.log('[HEALTH CHECK] OK');
   res.status(200).send('OK');
 });
 
+// Verifies that all build artifacts needed to serve requests are in place.
+// The details of failed checks only get logged as they contain file paths.
+healthCheck.get(READINESS_CHECK_PATH, async (req, res) => {
+  const result = await runReadinessChecks();
+  if (result.status !== STATUS_OK) {
+    log.error('Failed', JSON.stringify(result.checks));
+  }
+  const checks = {};
+  for (const [name, check] of Object.entries(result.checks)) {
+    checks[name] = {'status': check.status};
+  }
+  setNoCache(res);
+  res.status(result.status === STATUS_OK ? 200 : 503).json({'status': result.status, checks});
+});
+
 module.exports = {
   router: healthCheck,
   HEALTH_CHECK_PATH,
+  READINESS_CHECK_PATH,
+  READINESS_CHECKS,
+  runReadinessChecks,
 };
@@ -0,0 +1,45 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const metrics = require('../utils/metrics.js');
+const {setNoCache} = require('../utils/cacheHelpers.js');
+const {isAuthorized} = require('../utils/authorization.js');
+
+// eslint-disable-next-line new-cap
+const metricsRouter = express.Router();
+const METRICS_PATH = '/__metrics';
+// Required to scrape the metrics outside of development
+const METRICS_TOKEN = process.env.AMP_DEV_METRICS_TOKEN;
+
+// Exposes the platform metrics to be scraped by Prometheus compatible tools
+metricsRouter.get(METRICS_PATH, (request, response, next) => {
+  setNoCache(response);
+  if (!isAuthorized(request, METRICS_TOKEN)) {
+    // Pretend there is nothing to not reveal the endpoint
+    next();
+    return;
+  }
+  response.setHeader('Content-Type', 'text/plain; version=0.0.4');
+  response.status(200).send(metrics.render());
+});
+
+module.exports = {
+  router: metricsRouter,
+  METRICS_PATH,
+};
@@ -14,10 +14,39 @@
  * limitations under the License.
  */
 
+
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
 const HttpProxy = require('http-proxy');
+const LRU = require('lru-cache');
+const {Signale} = require('signale');
 const config = require('@lib/config');
+const {pagePath} = require('@lib/utils/project');
+const metrics = require('@lib/utils/metrics');
+
+const sxgProxyTotal = metrics.counter('sxg_proxy_total',
+    'Number of requests proxied to the AMP packager by result', ['result']);
+
+// Hard-code amp.dev as it has to match the cert
+const SIGNED_ORIGIN = 'https://amp.dev';
+const SXG_CONTENT_TYPE = 'application/signed-exchange';
+// Only pages served with this content type get signed
+const PAGE_CONTENT_TYPE = 'text/html';
+// How long the result of a pre-check is cached
+const PRECHECK_CACHE_MAX_AGE = 60 * 1000;
+// Headers of the packager's response that only apply to its connection
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding'];
+
+const INCLUDE_PATTERNS = config.shared.sxg.include.map((pattern) => new RegExp(pattern));
+const EXCLUDE_PATTERNS = config.shared.sxg.exclude.map((pattern) => new RegExp(pattern));
+
+const log = new Signale({
+  'interactive': false,
+  'scope': 'Packager',
+});
 
 const proxyOptions = {
   target: config.hosts.packager.base,
@@ -26,20 +55,133 @@ const proxyOptions = {
 
 const proxy = HttpProxy.createProxyServer(proxyOptions);
 
+proxy.on('proxyRes', (proxyResponse) => {
+  sxgProxyTotal.inc({'result': proxyResponse.statusCode < 400 ? 'success' : 'failure'});
+});
+
+// Signed exchanges are only passed on once checked to be able to fall back
+// to the unsigned page otherwise
+const signingProxy = HttpProxy.createProxyServer(Object.assign({
+  selfHandleResponse: true,
+}, proxyOptions));
+
+signingProxy.on('proxyRes', (proxyResponse, request, response) => {
+  const contentType = proxyResponse.headers['content-type'] || '';
+  if (proxyResponse.statusCode != 200 || !contentType.startsWith(SXG_CONTENT_TYPE)) {
+    proxyResponse.resume();
+    serveUnsigned(request);
+    return;
+  }
+
+  sxgProxyTotal.inc({'result': 'success'});
+  response.status(proxyResponse.statusCode);
+  for (const [name, value] of Object.entries(proxyResponse.headers)) {
+    if (!HOP_BY_HOP_HEADERS.includes(name)) {
+      response.setHeader(name, value);
+    }
+  }
+  proxyResponse.pipe(response);
+});
+
+// Continues with the unsigned page for requests handed to the signing proxy
+const unsignedFallbacks = new WeakMap();
+
+// Caches pending and finished pre-checks by path
+const precheckCache = new LRU({
+  'max': 1000,
+  'maxAge': PRECHECK_CACHE_MAX_AGE,
+});
+
+/**
+ * Checks if the path is eligible for signing according to the sxg
+ * policy in shared.json
+ * @param  {String}  pathname
+ * @return {Boolean}
+ */
+function isEligible(pathname) {
+  return INCLUDE_PATTERNS.some((pattern) => pattern.test(pathname)) &&
+    !EXCLUDE_PATTERNS.some((pattern) => pattern.test(pathname));
+}
+
+/**
+ * Requests the page the way it gets served unsigned. During development
+ * pages are rendered by Grow, otherwise they are served from the build
+ * with the content type derived from their extension.
+ * @param  {String} pathname
+ * @return {Promise<Object>} The status code and content type
+ */
+async function requestPage(pathname) {
+  if (config.isDevMode()) {
+    const got = require('got');
+    const page = await got(`${config.hosts.pages.base}${pathname}`, {
+      'throwHttpErrors': false,
+    }).catch(() => ({}));
+    return {
+      'statusCode': page.statusCode,
+      'contentType': page.headers && page.headers['content-type'],
+    };
+  }
+
+  const filePath = pagePath(pathname);
+  return new Promise((resolve) => {
+    fs.stat(filePath, (error, stats) => {
+      if (error || !stats.isFile()) {
+        resolve({'statusCode': 404});
+        return;
+      }
+      resolve({'statusCode': 200, 'contentType': express.static.mime.lookup(filePath)});
+    });
+  });
+}
+
+/**
+ * Checks the page to only have pages packaged that are served with status
+ * 200 and the content type of HTML pages. A page could for example be
+ * missing or be replaced by the maintenance page.
+ * @param  {express.Request} request
+ * @return {Promise<Boolean>}
+ */
+function precheck(request) {
+  if (config.isFlagEnabled('maintenance')) {
+    return Promise.resolve(false);
+  }
+
+  let result = precheckCache.get(request.path);
+  if (!result) {
+    let pathname;
+    try {
+      pathname = path.posix.normalize(decodeURIComponent(request.path));
+    } catch (error) {
+      return Promise.resolve(false);
+    }
+    if (!pagePath(pathname).startsWith(pagePath() + path.sep)) {
+      return Promise.resolve(false);
+    }
+
+    result = requestPage(pathname).then(({statusCode, contentType}) => {
+      return statusCode == 200 && (contentType || '').startsWith(PAGE_CONTENT_TYPE);
+    });
+    precheckCache.set(request.path, result);
+  }
+  return result;
+}
+
 /**
  * Proxy SXG requests to the AMPPackager:
  *
  * - If the URL starts with /amppkg/, forward the request unmodified.
- * - If the URL points to an AMP page and the AMP-Cache-Transform request header is present,
+ * - If the URL points to an AMP page eligible for signing, the page passes
+ *   the pre-check and the AMP-Cache-Transform request header is present,
  *   rewrite the URL by prepending /priv/doc and forward the request.
+ * - If the packager fails, serve the unsigned AMP page instead.
  * - Set the vary when serving AMP documents
  *
  * See https://github.com/ampproject/amppackager#productionizing
  */
-const packager = (request, response, next) => {
+const packager = async (request, response, next) => {
   // Redirect all packager requests
   if (request.path.startsWith('/amppkg/')) {
-    sxgProxy(request, response, request.url, next);
+    sxgProxy(request, response, request.url);
     return;
   }
   // Don't package non valid AMP pages
@@ -49,26 +191,58 @@ const packager = (request, response, next) => {
   }
   // Tell browsers that we support SXG
   response.set('vary', 'Accept, AMP-Cache-Transform');
-  if (!request.header('amp-cache-transform')) {
+  if (!request.header('amp-cache-transform') || !isEligible(request.path)) {
     next();
     return;
   }
-  // Hard-code amp.dev as it has to match the cert
+  if (!await precheck(request)) {
+    sxgProxyTotal.inc({'result': 'ineligible'});
+    next();
+    return;
+  }
+
   const searchParams = new URLSearchParams({
-    sign: 'https://amp.dev' + request.url,
+    sign: SIGNED_ORIGIN + request.url,
   }).toString();
-  const url = `/priv/doc?${searchParams}`;
+  const unsignedUrl = request.url;
+  unsignedFallbacks.set(request, () => {
+    request.url = unsignedUrl;
+    next();
+  });
   // Serve webpackage via packager
-  sxgProxy(request, response, url, next);
+  request.url = `/priv/doc?${searchParams}`;
+  signingProxy.web(request, response, (error) => {
+    if (response.headersSent) {
+      log.error('Signing failed after responding', error);
+      response.end();
+      return;
+    }
+    serveUnsigned(request);
+  });
 };
 
 function sxgProxy(request, response, url) {
-  console.log('[packager] proxy', url);
   request.url = url;
   proxy.web(request, response, proxyOptions, (error) => {
-    console.log('[packager] proxy error', error);
+    log.error('Could not proxy request', error);
+    sxgProxyTotal.inc({'result': 'failure'});
     response.status(502).end();
   });
 }
 
+/**
+ * Continues with the unsigned page, only once per request as both the
+ * proxy's response and error handlers might end up here
+ * @param  {express.Request} request
+ */
+function serveUnsigned(request) {
+  const fallback = unsignedFallbacks.get(request);
+  if (!fallback) {
+    return;
+  }
+  unsignedFallbacks.delete(request);
+  sxgProxyTotal.inc({'result': 'fallback'});
+  fallback();
+}
+
 module.exports = packager;
@@ -19,50 +19,98 @@
 const express = require('express');
 const config = require('@lib/config');
 const {Signale} = require('signale');
-const {isFilterableRoute} = require('@lib/common/filteredPage');
+const {isFilterableRoute, addFormatNotice} = require('@lib/common/filteredPage');
 const {project} = require('@lib/utils');
+const {ensureFileExtension, pagePath} = project;
+const {getCookie} = require('@lib/utils/cookies');
+const metrics = require('@lib/utils/metrics');
+const localeNegotiation = require('@lib/middleware/localeNegotiation');
+const precompressed = require('@lib/middleware/precompressed');
+
+const formatRewritesTotal = metrics.counter('format_filter_rewrites_total',
+    'Number of requests rewritten to a format filtered page variant', ['format']);
+const formatFallbacksTotal = metrics.counter('format_filter_fallbacks_total',
+    'Number of requests for a missing format variant served the websites one', ['format']);
 
 
 // eslint-disable-next-line new-cap
 const pages = express.Router();
 
+pages.get('/*', localeNegotiation);
+
+const FORMAT_QUERY_PARAMETER = 'format';
+const FORMAT_COOKIE = 'format';
+const FORMAT_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+const ALLOWED_FORMATS = ['websites', 'stories', 'ads', 'email'];
+
+/**
+ * Checks if the format chosen for a request gets remembered and may be
+ * restored from the cookie. AMP documents are left alone as they get signed
+ * and served by the AMP caches which don't forward cookies.
+ * @param  {expressjs.Request} request
+ * @return {Boolean}
+ */
+function isFormatPersistent(request) {
+  return isFilterableRoute(request.path) && !request.path.endsWith('.amp.html') &&
+    !request.header('amp-cache-transform');
+}
+
 /**
- * Inspects a incoming request (either proxied or not) for its GET args
- * and URL and checks if its valid to filter and if so has a valid filter
+ * Inspects a incoming request (either proxied or not) for its GET args,
+ * format cookie and URL and checks if its valid to filter and if so has
+ * a valid filter
  * @param  {expressjs.Request} request
  * @return {null|String}       A valid filter
  */
 function getFilteredFormat(request) {
-  const QUERY_PARAMETER_NAME = 'format';
-  const ALLOWED_FORMATS = ['websites', 'stories', 'ads', 'email'];
-
-  const activeFormat = request.query[QUERY_PARAMETER_NAME] || 'websites';
+  const activeFormat = getChosenFormat(request) ||
+    (isFormatPersistent(request) && getCookie(request, FORMAT_COOKIE)) || 'websites';
   if (ALLOWED_FORMATS.indexOf(activeFormat.toLowerCase()) == -1) {
     // If the format to filter by is invalid or none use websites
     return 'websites';
   }
 
-  return activeFormat;
+  return activeFormat.toLowerCase();
+}
+
+/**
+ * Returns the format chosen via ?format= in lower case. Repeated
+ * parameters are parsed to an array and therefore ignored.
+ * @param  {expressjs.Request} request
+ * @return {String|null}
+ */
+function getChosenFormat(request) {
+  const chosenFormat = request.query[FORMAT_QUERY_PARAMETER];
+  return typeof chosenFormat === 'string' ? chosenFormat.toLowerCase() : null;
 }
 
 /**
- * Checks if a path ends on a directory and appends index.html if that's
- * the case, otherwise appends .html extension
- * @param  {String} path
- * @return {String}
+ * Remembers the format chosen via ?format= in a cookie to keep filtering
+ * by it while navigating
  */
-function ensureFileExtension(path) {
-  if (path.endsWith('/')) {
-    return path += 'index.html';
+function rememberFormat(request, response, next) {
+  if (!isFormatPersistent(request)) {
+    next();
+    return;
   }
 
-  if (!path.endsWith('.html')) {
-    return path += '.html';
+  // The same URL might get filtered differently depending on the cookie
+  response.vary('Cookie');
+
+  const chosenFormat = getChosenFormat(request);
+  if (chosenFormat && ALLOWED_FORMATS.includes(chosenFormat) &&
+    chosenFormat !== getCookie(request, FORMAT_COOKIE)) {
+    response.cookie(FORMAT_COOKIE, chosenFormat, {
+      'maxAge': FORMAT_COOKIE_MAX_AGE,
+      'httpOnly': true,
+    });
   }
 
-  return path;
+  next();
 }
 
+pages.get('/*', rememberFormat);
+
 
 // Setup a proxy over to Grow during development
 if (config.isDevMode()) {
@@ -113,8 +161,13 @@ if (config.isDevMode()) {
       log.await(`Filtering the ongoing request by format: ${activeFormat}`);
       modifyResponse(response, proxyResponse.headers['content-encoding'], (body) => {
         try {
-          const html = pageTransformer.filterHtml(body, activeFormat) || body;
-          response.setHeader('content-length', html.length.toString());
+          let html = pageTransformer.filterHtml(body, activeFormat);
+          if (!html && activeFormat !== 'websites') {
+            formatFallbacksTotal.inc({'format': activeFormat});
+            html = addFormatNotice(body, activeFormat);
+          }
+          html = html || body;
+          response.setHeader('content-length', Buffer.byteLength(html).toString());
           return html;
         } catch (e) {
           log.warn('Could not filter request', e);
@@ -141,11 +194,13 @@ if (config.isDevMode()) {
     // and if so rewrite the request to this URL
     const activeFormat = getFilteredFormat(request);
     if (activeFormat && isFilterableRoute(request.path)) {
+      response.locals.format = activeFormat;
       log.info('Checking for manual variant of requested page ...');
       if (await hasManualFormatVariant(request, activeFormat)) {
         const url = request.url.replace('.html', `.${activeFormat}.html`);
         log.success(`Manually filtered variant exists - rewriting request to ${url}`);
         request.url = url;
+        formatRewritesTotal.inc({'format': activeFormat});
       }
     }
 
@@ -158,25 +213,84 @@ if (config.isDevMode()) {
 }
 
 if (!config.isDevMode()) {
+  const fs = require('fs');
+  const LRU = require('lru-cache');
+  const {promisify} = require('util');
+  const readFile = promisify(fs.readFile);
+  const stat = promisify(fs.stat);
+  const exists = (path) => new Promise((resolve) => fs.access(path, (error) => resolve(!error)));
+
+  // Caches the websites variants with the notice for a format by file,
+  // format and modification time, bounded by their size in bytes
+  const FORMAT_FALLBACK_CACHE_SIZE = 32 * 1024 * 1024;
+  const formatFallbackCache = new LRU({
+    'max': FORMAT_FALLBACK_CACHE_SIZE,
+    'length': (fallback) => Buffer.byteLength(fallback.html),
+  });
+
+  /**
+   * Returns the websites variant of a page with the notice that it isn't
+   * available for the format along with its validators
+   * @param  {String} filePath
+   * @param  {String} format
+   * @return {Promise<Object>}
+   */
+  async function getFormatFallback(filePath, format) {
+    const stats = await stat(filePath);
+    const key = `${filePath}:${format}:${stats.mtimeMs}`;
+    let fallback = formatFallbackCache.get(key);
+    if (!fallback) {
+      const html = addFormatNotice(await readFile(filePath, 'utf-8'), format);
+      fallback = {
+        html,
+        'etag': precompressed.createEtag(html),
+        'lastModified': stats.mtime.toUTCString(),
+      };
+      formatFallbackCache.set(key, fallback);
+    }
+    return fallback;
+  }
+
+  const precompressedMiddleware = precompressed(project.paths.PAGES_DEST);
   const staticMiddleware = express.static(project.paths.PAGES_DEST, {
     'extensions': ['html'],
   });
 
-
   pages.get('/*', async (request, response, next) => {
     request.url = ensureFileExtension(request.path);
 
     const format = getFilteredFormat(request);
-    if (format && format !== 'websites') {
-      if (request.path.endsWith('.amp.html')) {
-        request.url = request.path.replace('.amp.html', `.${format}.amp.html`);
-      } else {
-        request.url = request.path.replace('.html', `.${format}.html`);
-      }
+    if (format === 'websites' || !isFilterableRoute(request.path)) {
+      next();
+      return;
     }
 
-    return staticMiddleware(request, response, next);
-  });
+    response.locals.format = format;
+    const suffix = request.path.endsWith('.amp.html') ? '.amp.html' : '.html';
+    const variantPath = request.path.replace(suffix, `.${format}${suffix}`);
+    if (await exists(pagePath(variantPath))) {
+      formatRewritesTotal.inc({format});
+      request.url = variantPath;
+      next();
+      return;
+    }
+
+    // There is no variant for the requested format, therefore serve the
+    // websites one and let the user know about it. It's validated like the
+    // precompressed pages and its compression gets cached by its ETag.
+    let fallback;
+    try {
+      fallback = await getFormatFallback(pagePath(request.path), format);
+    } catch (error) {
+      next();
+      return;
+    }
+    formatFallbacksTotal.inc({format});
+    response.vary('Accept-Encoding');
+    response.setHeader('ETag', fallback.etag);
+    response.setHeader('Last-Modified', fallback.lastModified);
+    response.type('html').send(fallback.html);
+  }, precompressedMiddleware, staticMiddleware);
 }
 
 module.exports = pages;
@@ -0,0 +1,42 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const signale = require('signale');
+const RedirectRules = require('@lib/common/redirectRules.js');
+const {project} = require('@lib/utils');
+
+const REDIRECTS_DEFINITION = project.absolute('platform/config/redirects.yaml');
+
+// eslint-disable-next-line new-cap
+const redirects = express.Router();
+
+// Load the rules at startup to fail early on invalid definitions
+const rules = RedirectRules.load(REDIRECTS_DEFINITION);
+signale.info(`Loaded ${rules.rules.length} redirect rules`);
+
+redirects.get('/*', (request, response, next) => {
+  const redirect = rules.match(request.originalUrl);
+  if (!redirect) {
+    next();
+    return;
+  }
+  response.redirect(redirect.status, redirect.location);
+});
+
+module.exports = redirects;
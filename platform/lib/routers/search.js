@@ -0,0 +1,99 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const express = require('express');
+const fs = require('fs');
+const signale = require('signale');
+const config = require('../config.js');
+const {search} = require('../common/search.js');
+const {SEARCH_INDEX_DEST} = require('../build/searchIndexer.js');
+const {FORMATS} = require('../common/filteredPage.js');
+const {rateLimit} = require('../middleware/rateLimiter.js');
+const {setMaxAge} = require('../utils/cacheHelpers.js');
+
+const SEARCH_PATH = '/search';
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 100;
+
+// eslint-disable-next-line new-cap
+const searchRouter = express.Router();
+
+let index = null;
+
+/**
+ * Returns the index written by the SearchIndexer. It's loaded on first use
+ * as it might only get built after the platform has been started.
+ * @return {Object|null}
+ */
+function getIndex() {
+  if (!index && fs.existsSync(SEARCH_INDEX_DEST)) {
+    index = JSON.parse(fs.readFileSync(SEARCH_INDEX_DEST, 'utf-8'));
+    // Used to look up tokens by prefix
+    index.tokenList = Object.keys(index.tokens);
+    signale.info(`Loaded search index with ${index.documents.length} documents`);
+  }
+  return index;
+}
+
+/**
+ * Parses the limit of results clamped to 1 up to MAX_LIMIT
+ * @param  {String} value
+ * @return {Number}
+ */
+function parseLimit(value) {
+  return Math.max(1, Math.min(parseInt(value, 10) || DEFAULT_LIMIT, MAX_LIMIT));
+}
+
+searchRouter.get(SEARCH_PATH, rateLimit('search'), (request, response) => {
+  const query = String(request.query.q || '').trim();
+  const format = request.query.format;
+  const locale = request.query.locale;
+  const limit = parseLimit(request.query.limit);
+
+  let error;
+  if (!query || query.length > MAX_QUERY_LENGTH) {
+    error = `Parameter q must have 1 to ${MAX_QUERY_LENGTH} characters`;
+  } else if (format && !FORMATS.includes(format)) {
+    error = `Parameter format must be one of ${FORMATS.join(', ')}`;
+  } else if (locale && !config.locales.includes(locale)) {
+    error = `Parameter locale must be one of ${config.locales.join(', ')}`;
+  }
+  if (error) {
+    response.status(400).json({error});
+    return;
+  }
+
+  const searchIndex = getIndex();
+  if (!searchIndex) {
+    response.status(503).json({'error': 'The search index has not been built'});
+    return;
+  }
+
+  setMaxAge(response, 60 * 10);
+  // Results are wrapped in items to be directly usable by amp-list
+  response.json({
+    'items': search(searchIndex, query, {format, locale, limit}),
+  });
+});
+
+module.exports = {
+  router: searchRouter,
+  SEARCH_PATH,
+  parseLimit,
+};
@@ -19,18 +19,21 @@
 const express = require('express');
 const {setMaxAge} = require('../utils/cacheHelpers.js');
 const config = require('../config.js');
+const precompressed = require('../middleware/precompressed.js');
 
 // eslint-disable-next-line new-cap
 const staticRouter = express.Router();
 
-staticRouter.use('/static', express.static('static'));
+staticRouter.use('/static', precompressed('static'), express.static('static'));
 
 if (config.isProdMode()) {
-  staticRouter.use('/', express.static('static/sitemap'));
+  staticRouter.use('/', precompressed('static/sitemap'), express.static('static/sitemap'));
 }
 
-staticRouter.get('/serviceworker.js', (request, response) => {
+staticRouter.get('/serviceworker.js', (request, response, next) => {
   setMaxAge(response, 0, 60 * 10);
+  next();
+}, precompressed('static'), (request, response) => {
   response.status(200)
       .sendFile('serviceworker.js', {root: 'static'});
 });
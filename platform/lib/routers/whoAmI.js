@@ -18,14 +18,27 @@
 
 const express = require('express');
 const config = require('../config.js');
+const {readBuildManifest} = require('../build/buildManifest.js');
 
 // eslint-disable-next-line new-cap
 const whoAmI = express.Router();
 
+// The manifest is written by the pipeline, there is none during development
+// as pages are served by Grow
+const manifest = readBuildManifest() || {
+  'commit': null,
+  'builtAt': null,
+  'ampRuntimeVersion': null,
+  'ampReleaseTag': null,
+  'locales': config.locales,
+  'pages': null,
+  'samples': null,
+};
+
 whoAmI.get('/who-am-i', (request, response) => {
-  const whoAmI = {
+  const whoAmI = Object.assign({}, manifest, {
     'environment': config.environment,
-  };
+  });
 
   response.setHeader('Content-Type', 'application/json');
   response.status(200).send(JSON.stringify(whoAmI));
@@ -0,0 +1,46 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('module-alias/register');
+
+const config = require('@lib/config');
+
+/**
+ * Prints the config the platform resolves for the current environment,
+ * including overrides and all derived base URLs. Select the environment
+ * via APP_ENV or NODE_ENV.
+ */
+function printConfig() {
+  console.log(JSON.stringify({
+    'environment': config.environment,
+    'hosts': config.hosts,
+    'hostNames': Array.from(config.hostNames),
+    'locales': config.locales,
+    'defaultLocale': config.defaultLocale,
+    'flags': config.flags,
+    'csp': config.csp,
+    'logging': config.logging,
+  }, null, 2));
+}
+
+// If not required, run directly
+if (!module.parent) {
+  printConfig();
+}
+
+module.exports = printConfig;
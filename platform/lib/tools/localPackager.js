@@ -0,0 +1,96 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+require('module-alias/register');
+
+const express = require('express');
+const fetch = require('node-fetch');
+const mri = require('mri');
+const {Signale} = require('signale');
+const config = require('@lib/config');
+
+const DEFAULT_PORT = 8089;
+// The origin the real packager signs documents for
+const SIGNED_ORIGIN = 'https://amp.dev';
+
+const log = new Signale({
+  'scope': 'Local packager',
+});
+
+/**
+ * Creates a stand-in for the AMP packager (amp-dev-sxg) to test how the
+ * platform rewrites requests and falls back to unsigned pages without
+ * having to sign anything. Instead of a signed exchange it responds with
+ * the document fetched from the platform.
+ *
+ * @param  {Object} options
+ * @param  {RegExp} options.fail Documents that fail to be packaged
+ * @return {express.Application}
+ */
+function createLocalPackager(options = {}) {
+  const app = express();
+
+  app.get('/priv/doc', async (request, response) => {
+    const sign = request.query.sign || '';
+    log.info(`Packaging ${sign}`);
+    if (!sign.startsWith(SIGNED_ORIGIN + '/') || (options.fail && options.fail.test(sign))) {
+      response.status(502).send(`Failed to package ${sign}`);
+      return;
+    }
+
+    try {
+      const path = sign.substring(SIGNED_ORIGIN.length);
+      const document = await fetch(config.hosts.platform.base + path);
+      if (!document.ok) {
+        response.status(502).send(`Fetching ${sign} failed with ${document.status}`);
+        return;
+      }
+      response.set('content-type', 'application/signed-exchange;v=b3');
+      response.set('x-local-packager', 'unsigned');
+      response.send(await document.buffer());
+    } catch (error) {
+      response.status(502).send(error.message);
+    }
+  });
+
+  app.get('/amppkg/cert/:certificate', (request, response) => {
+    response.set('content-type', 'application/cert-chain+cbor').end();
+  });
+
+  app.get('/amppkg/validity', (request, response) => {
+    response.set('content-type', 'application/cbor').end();
+  });
+
+  return app;
+}
+
+// If not required, run directly. Point the platform to it with
+// AMP_DEV_HOST_PACKAGER_SCHEME=http AMP_DEV_HOST_PACKAGER_HOST=localhost
+// AMP_DEV_HOST_PACKAGER_PORT=8089
+if (!module.parent) {
+  const options = mri(process.argv.slice(2));
+  const port = options.port || DEFAULT_PORT;
+  createLocalPackager({
+    'fail': options.fail ? new RegExp(options.fail) : null,
+  }).listen(port, () => {
+    log.success(`Listening on ${port}`);
+  });
+}
+
+module.exports = createLocalPackager;
@@ -0,0 +1,111 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+require('module-alias/register');
+
+const {Signale} = require('signale');
+const fs = require('fs');
+const path = require('path');
+const RedirectRules = require('@lib/common/redirectRules.js');
+const {project} = require('@lib/utils');
+
+const REDIRECTS_DEFINITION = project.absolute('platform/config/redirects.yaml');
+
+/**
+ * Verifies that the target of each redirect rule resolves to a page
+ * in the built output. Targets of pattern rules are checked by replacing
+ * their captures with wildcards and looking for at least one matching page.
+ */
+class RedirectsChecker {
+  constructor() {
+    this._log = new Signale({
+      'scope': 'Redirects checker',
+    });
+  }
+
+  start() {
+    this._log.start(`Checking redirect targets against ${project.paths.PAGES_DEST} ...`);
+    if (!fs.existsSync(project.paths.PAGES_DEST)) {
+      throw new Error(`${project.paths.PAGES_DEST} does not exist, run a build first`);
+    }
+
+    const pages = this._collectPages(project.paths.PAGES_DEST);
+    const rules = RedirectRules.load(REDIRECTS_DEFINITION).rules;
+    const broken = rules.filter((rule) => !this._resolves(rule.target, pages));
+
+    for (const rule of broken) {
+      this._log.error(`${rule.type} ${rule.source} -> ${rule.target} does not resolve to a page`);
+    }
+    if (broken.length) {
+      throw new Error(`${broken.length} of ${rules.length} redirect targets are broken`);
+    }
+    this._log.success(`All ${rules.length} redirect targets resolve.`);
+  }
+
+  /**
+   * Collects the URL paths of all built pages
+   * @param  {String} dir
+   * @return {Array}
+   */
+  _collectPages(dir) {
+    const pages = [];
+    for (const entry of fs.readdirSync(dir, {'withFileTypes': true})) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        pages.push(...this._collectPages(entryPath));
+      } else if (entry.name.endsWith('.html')) {
+        pages.push('/' + path.relative(project.paths.PAGES_DEST, entryPath));
+      }
+    }
+    return pages;
+  }
+
+  /**
+   * Checks if a redirect target resolves to a page the same way
+   * the pages router resolves paths to files
+   * @param  {String} target
+   * @param  {Array} pages
+   * @return {Boolean}
+   */
+  _resolves(target, pages) {
+    // Targets on other hosts can't be checked
+    if (!target.startsWith('/')) {
+      this._log.info(`Skipping external target ${target}`);
+      return true;
+    }
+
+    const targetPath = project.ensureFileExtension(target.split(/[?#]/)[0]);
+
+    const expression = new RegExp('^' + targetPath.split(/\$\d+/)
+        .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^/]+') + '$');
+    return pages.some((page) => expression.test(page));
+  }
+}
+
+// If not required, run directly
+if (!module.parent) {
+  try {
+    new RedirectsChecker().start();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = RedirectsChecker;
@@ -0,0 +1,44 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config.js');
+
+/**
+ * Checks if the request carries the bearer token protecting an internal
+ * endpoint. Outside of development requests are denied if no token has
+ * been configured.
+ * @param  {expressjs.Request} request
+ * @param  {String} token
+ * @return {Boolean}
+ */
+function isAuthorized(request, token) {
+  if (config.isDevMode()) {
+    return true;
+  }
+  if (!token) {
+    return false;
+  }
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(request.get('authorization') || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  isAuthorized,
+};
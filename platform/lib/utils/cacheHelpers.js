@@ -44,8 +44,16 @@ function setXssProtection(response) {
   response.setHeader('x-xss-protection', '1; mode=block');
 }
 
-function setAmpCSP(response) {
-  response.setHeader('content-security-policy', 'default-src * blob: data:; script-src blob: https://cdn.ampproject.org/esm/ https://cdn.ampproject.org/mp/ https://cdn.ampproject.org/rtv/ https://cdn.ampproject.org/sp/ https://cdn.ampproject.org/sw/ https://cdn.ampproject.org/v0.js https://cdn.ampproject.org/v0/ https://cdn.ampproject.org/viewer/; object-src \'none\'; style-src \'unsafe-inline\' https://cdn.ampproject.org/rtv/ https://cdn.materialdesignicons.com https://cloud.typography.com https://fast.fonts.net https://fonts.googleapis.com https://maxcdn.bootstrapcdn.com https://p.typekit.net https://pro.fontawesome.com https://use.fontawesome.com https://use.typekit.net; report-uri https://csp-collector.appspot.com/csp/amp');
+/**
+ * Sets the policy replacing any policy set before, including one set with
+ * the other header as both would apply otherwise
+ */
+function setCsp(response, policy, reportOnly = false) {
+  const [header, otherHeader] = reportOnly ?
+    ['content-security-policy-report-only', 'content-security-policy'] :
+    ['content-security-policy', 'content-security-policy-report-only'];
+  response.removeHeader(otherHeader);
+  response.setHeader(header, policy);
 }
 
 module.exports = {
@@ -54,6 +62,6 @@ module.exports = {
   setImmutable,
   setNoSniff,
   setXssProtection,
-  setAmpCSP,
+  setCsp,
   setHsts,
 };
@@ -0,0 +1,135 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const HOST_NAMES = ['pages', 'api', 'platform', 'playground', 'preview', 'go', 'packager'];
+
+const HOST_SCHEMA = {
+  'type': 'object',
+  'properties': {
+    'scheme': {'type': 'string', 'enum': ['http', 'https']},
+    'host': {'type': 'string', 'pattern': /^[a-z0-9.-]+$/i,
+      'hint': 'a hostname without scheme, port or path'},
+    'port': {'type': ['string', 'number'], 'pattern': /^\d*$/, 'hint': 'a port number or ""'},
+    'subdomain': {'type': 'string', 'pattern': /^[a-z0-9-]+$/i},
+  },
+  'required': ['scheme', 'host'],
+};
+
+const HOST_FIELDS = Object.keys(HOST_SCHEMA.properties);
+
+/**
+ * Describes the files in platform/config/environments
+ * @type {Object}
+ */
+const ENVIRONMENT_SCHEMA = {
+  'type': 'object',
+  'properties': {
+    'name': {'type': 'string', 'pattern': /^[a-z]+$/},
+    'hosts': {
+      'type': 'object',
+      'properties': HOST_NAMES.reduce((properties, name) => {
+        properties[name] = HOST_SCHEMA;
+        return properties;
+      }, {}),
+      'required': HOST_NAMES,
+    },
+    'csp': {
+      'type': 'object',
+      'properties': {
+        'reportOnly': {'type': ['boolean', 'object']},
+      },
+    },
+    'logging': {
+      'type': 'object',
+      'properties': {
+        'slowRequestThreshold': {'type': 'number'},
+      },
+    },
+    'flags': {
+      'type': 'object',
+    },
+  },
+  'required': ['name', 'hosts'],
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Validates value against the schema and collects readable errors
+ * @param  {*} value
+ * @param  {Object} schema
+ * @param  {String} path   Path of value inside the validated object
+ * @param  {Array} errors
+ * @return {Array}
+ */
+function validate(value, schema, path, errors) {
+  const types = [].concat(schema.type);
+  if (!types.includes(typeOf(value))) {
+    errors.push(`${path} must be of type ${types.join(' or ')} but is ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')} but is "${value}"`);
+  }
+
+  if (schema.pattern && !schema.pattern.test(String(value))) {
+    const expected = schema.hint || `matching ${schema.pattern}`;
+    errors.push(`${path} must be ${expected} but is "${value}"`);
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name} is missing`);
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties[name];
+      if (!propertySchema) {
+        errors.push(`${path}.${name} is not a known property, expected one of ` +
+          Object.keys(schema.properties).join(', '));
+        continue;
+      }
+      validate(propertyValue, propertySchema, `${path}.${name}`, errors);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates an environment config
+ * @param  {Object} env
+ * @return {Array} Readable errors, empty if the config is valid
+ */
+function validateEnvironment(env) {
+  return validate(env, ENVIRONMENT_SCHEMA, 'environment', []);
+}
+
+module.exports = {
+  ENVIRONMENT_SCHEMA,
+  HOST_NAMES,
+  HOST_FIELDS,
+  validateEnvironment,
+};
@@ -0,0 +1,44 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Escapes a string to be used as text or attribute value in HTML
+ * @param  {*} string
+ * @return {String}
+ */
+function escapeHtml(string) {
+  return String(string)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escapes a string to be used as text or attribute value in XML
+ * @param  {*} string
+ * @return {String}
+ */
+function escapeXml(string) {
+  return escapeHtml(string).replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  escapeHtml,
+  escapeXml,
+};
@@ -0,0 +1,101 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Time in-flight requests are given to finish before their connections
+// are forcefully destroyed
+const DEFAULT_CLOSE_TIMEOUT = 30 * 1000;
+
+/**
+ * Wraps a http.Server and keeps track of its open connections to be able
+ * to shut it down without cutting off in-flight requests. As the platform
+ * uses a very long keepAliveTimeout, idle connections have to be closed
+ * actively, otherwise server.close() would not resolve for minutes.
+ */
+class GracefulServer {
+  /**
+   * @param {http.Server} server A server that has just started listening
+   */
+  constructor(server) {
+    this.server = server;
+    this._closing = false;
+    // Maps each open socket to its number of unfinished requests
+    this._connections = new Map();
+
+    server.on('connection', this._onConnection.bind(this));
+    server.on('request', this._onRequest.bind(this));
+  }
+
+  _onConnection(socket) {
+    this._connections.set(socket, 0);
+    socket.on('close', () => {
+      this._connections.delete(socket);
+    });
+  }
+
+  _onRequest(request, response) {
+    const socket = request.socket;
+    this._connections.set(socket, (this._connections.get(socket) || 0) + 1);
+
+    if (this._closing) {
+      // Tell clients to not reuse the connection
+      response.setHeader('Connection', 'close');
+    }
+
+    response.on('finish', () => {
+      const pending = this._connections.get(socket) - 1;
+      this._connections.set(socket, pending);
+      if (this._closing && pending === 0) {
+        socket.end();
+      }
+    });
+  }
+
+  /**
+   * Stops accepting new connections, closes idle keep-alive connections
+   * and waits for in-flight requests to finish.
+   * @param  {Number} timeout Milliseconds after which remaining connections are destroyed
+   * @return {Promise}
+   */
+  close(timeout = DEFAULT_CLOSE_TIMEOUT) {
+    this._closing = true;
+    return new Promise((resolve, reject) => {
+      const forceTimeout = setTimeout(() => {
+        for (const socket of this._connections.keys()) {
+          socket.destroy();
+        }
+      }, timeout);
+
+      this.server.close((error) => {
+        clearTimeout(forceTimeout);
+        if (error && error.code !== 'ERR_SERVER_NOT_RUNNING') {
+          reject(error);
+          return;
+        }
+        resolve();
+      });
+
+      for (const [socket, pending] of this._connections) {
+        if (pending === 0) {
+          socket.destroy();
+        }
+      }
+    });
+  }
+}
+
+module.exports = GracefulServer;
@@ -0,0 +1,187 @@
+/**
+ * Copyright 2019 The AMP HTML Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS-IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const METRIC_PREFIX = 'amp_dev_';
+
+// Latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+      .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base class for metrics that keep one series per combination of label values
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = METRIC_PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this._series = new Map();
+  }
+
+  /**
+   * Returns the series for the given labels, creating it if needed
+   * @param  {Object} labels
+   * @param  {Function} create Factory for a new series value
+   * @return {Object}
+   */
+  _getSeries(labels, create) {
+    const values = this._labelValues(labels);
+    const key = JSON.stringify(values);
+    let series = this._series.get(key);
+    if (!series) {
+      const seriesLabels = {};
+      this.labelNames.forEach((name, i) => {
+        seriesLabels[name] = values[i];
+      });
+      series = {'labels': seriesLabels, 'value': create()};
+      this._series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Returns the series for the given labels without creating it
+   * @param  {Object} labels
+   * @return {Object|undefined}
+   */
+  _findSeries(labels) {
+    return this._series.get(JSON.stringify(this._labelValues(labels)));
+  }
+
+  _labelValues(labels) {
+    return this.labelNames.map((name) => labels[name] === undefined ? '' : labels[name]);
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    for (const series of this._series.values()) {
+      lines.push(...this._renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this._getSeries(labels, () => 0).value += value;
+  }
+
+  get(labels = {}) {
+    const series = this._findSeries(labels);
+    return series ? series.value : 0;
+  }
+
+  _renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this._getSeries(labels, () => ({
+      'counts': this.buckets.map(() => 0),
+      'sum': 0,
+      'count': 0,
+    }));
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) {
+        series.value.counts[i]++;
+      }
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  _renderSeries(series) {
+    const lines = this.buckets.map((bucket, i) => {
+      const labels = formatLabels(Object.assign({}, series.labels, {'le': bucket}));
+      return `${this.name}_bucket${labels} ${series.value.counts[i]}`;
+    });
+    const infLabels = formatLabels(Object.assign({}, series.labels, {'le': '+Inf'}));
+    lines.push(`${this.name}_bucket${infLabels} ${series.value.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.value.sum}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.value.count}`);
+    return lines;
+  }
+}
+
+/**
+ * Holds all metrics of the platform process and renders them in the
+ * Prometheus text exposition format
+ */
+class Registry {
+  constructor() {
+    this._metrics = new Map();
+  }
+
+  /**
+   * Returns the counter with the given name, creating it on first use
+   * @return {Counter}
+   */
+  counter(name, help, labelNames) {
+    return this._register(name, () => new Counter(name, help, labelNames));
+  }
+
+  /**
+   * Returns the histogram with the given name, creating it on first use
+   * @return {Histogram}
+   */
+  histogram(name, help, labelNames, buckets) {
+    return this._register(name, () => new Histogram(name, help, labelNames, buckets));
+  }
+
+  _register(name, create) {
+    if (!this._metrics.has(name)) {
+      this._metrics.set(name, create());
+    }
+    return this._metrics.get(name);
+  }
+
+  render() {
+    return Array.from(this._metrics.values())
+        .map((metric) => metric.render())
+        .join('\n') + '\n';
+  }
+}
+
+module.exports = new Registry();
@@ -41,6 +41,24 @@ function pagePath(relativePath) {
   return path.join(paths.PAGES_DEST, relativePath);
 }
 
+/**
+ * Checks if a path ends on a directory and appends index.html if that's
+ * the case, otherwise appends .html extension
+ * @param  {String} path
+ * @return {String}
+ */
+function ensureFileExtension(path) {
+  if (path.endsWith('/')) {
+    return path += 'index.html';
+  }
+
+  if (!path.endsWith('.html')) {
+    return path += '.html';
+  }
+
+  return path;
+}
+
 /**
  * Various paths that are critic for the project and are used around the library
  * @type {Object}
@@ -56,5 +74,6 @@ module.exports = {
   absolute,
   relative,
   pagePath,
+  ensureFileExtension,
   paths,
 };
@@ -20,7 +20,23 @@
 
 require('module-alias/register');
 
+const signale = require('signale');
 const Platform = require('./lib/platform');
 
 const platform = new Platform();
 platform.start();
+
+// Drain open connections before exiting to not cut off users during
+// rolling updates of the instance groups
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.once(signal, async () => {
+    signale.info(`Received ${signal}, shutting down ...`);
+    try {
+      await platform.stop();
+      process.exit(0);
+    } catch (error) {
+      signale.fatal('Could not stop platform gracefully', error);
+      process.exit(1);
+    }
+  });
+});
@@ -19,6 +19,7 @@ const fetch = require('node-fetch');
 const URL = require('url').URL;
 const config = require('@lib/config.js');
 const {setMaxAge} = require('@lib/utils/cacheHelpers.js');
+const {rateLimit} = require('@lib/middleware/rateLimiter.js');
 // eslint-disable-next-line new-cap
 const api = express.Router();
 
@@ -45,7 +46,7 @@ const VALID_ORIGINS = new Set([
 
 const host = config.hosts.platform.base;
 
-api.get('/fetch', async (request, response) => {
+api.get('/fetch', rateLimit('playgroundFetch'), async (request, response) => {
   const url = request.query.url;
   try {
     const doc = await fetchDocument(url, host);
@@ -17,6 +17,7 @@
 const path = require('path');
 const express = require('express');
 const {setImmutable} = require('../../platform/lib/utils/cacheHelpers.js');
+const {tagRouter} = require('../../platform/lib/middleware/requestLogger.js');
 // eslint-disable-next-line new-cap
 const playground = express.Router();
 
@@ -27,7 +28,7 @@ playground.use(express.static(
       setHeaders: setCustomCacheControl,
     },
 ));
-playground.use('/api', require('./api.js'));
+playground.use('/api', tagRouter('playgroundApi', require('./api.js')));
 
 function setCustomCacheControl(response, path) {
   // playground assets are versioned